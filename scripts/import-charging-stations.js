@@ -0,0 +1,43 @@
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const chargingStationService = require('../src/services/chargingStationService');
+
+// Usage: node scripts/import-charging-stations.js <ocm-dump.json> [more-dumps.json ...]
+async function importChargingStations() {
+  const files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    console.error('Usage: node scripts/import-charging-stations.js <ocm-dump.json> [...]');
+    process.exit(1);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not defined in your .env file');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    for (const file of files) {
+      const filePath = path.resolve(file);
+      console.log(`Importing ${filePath}...`);
+
+      const summary = await chargingStationService.importOpenChargeMapFile(filePath);
+      console.log(`  ${summary.total} records: ${summary.upserted} new, ${summary.modified} updated, ${summary.skipped} skipped`);
+    }
+
+    // Make sure the 2dsphere index exists before the API queries it
+    await mongoose.model('ChargingStation').syncIndexes();
+    console.log('Charging station indexes are up to date');
+
+  } catch (error) {
+    console.error('\nImport failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+importChargingStations();
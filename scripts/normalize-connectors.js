@@ -0,0 +1,94 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vehicle = require('../src/models/Vehicle');
+const ChargingStation = require('../src/models/ChargingStation');
+const { CONNECTOR_TYPES, normalizeConnector, normalizeConnectors } = require('../src/utils/connectorUtils');
+
+// Usage: node scripts/normalize-connectors.js
+// Brings data stored before the connector taxonomy in line with it: vehicle connector names are
+// mapped to the taxonomy (unknown ones are dropped, as the vehicle API does), and catalog stations
+// get connectors.standard so the connector filter finds them. Safe to run more than once.
+const BATCH_SIZE = 500;
+
+async function normalizeVehicles() {
+  const vehicles = await Vehicle.find({ connectorTypes: { $elemMatch: { $nin: CONNECTOR_TYPES } } })
+    .select('connectorTypes')
+    .lean();
+
+  const operations = vehicles.map(vehicle => ({
+    updateOne: {
+      filter: { _id: vehicle._id },
+      update: { $set: { connectorTypes: normalizeConnectors(vehicle.connectorTypes) } }
+    }
+  }));
+  if (operations.length > 0) {
+    await Vehicle.bulkWrite(operations);
+  }
+
+  const dropped = vehicles.reduce((count, vehicle) =>
+    count + vehicle.connectorTypes.filter(type => !normalizeConnector(type)).length, 0);
+  return { updated: operations.length, dropped };
+}
+
+async function normalizeStations() {
+  const cursor = ChargingStation.find({
+    connectors: { $elemMatch: { standard: { $exists: false } } }
+  }).select('connectors').lean().cursor();
+
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await ChargingStation.bulkWrite(operations);
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const station of cursor) {
+    const connectors = station.connectors.map(connector => {
+      const standard = connector.standard || normalizeConnector(connector.type);
+      return standard ? { ...connector, standard } : connector;
+    });
+    if (connectors.every((connector, index) => connector.standard === station.connectors[index].standard)) {
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: station._id },
+        update: { $set: { connectors } }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { updated };
+}
+
+async function normalizeConnectorData() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not defined in your .env file');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const vehicles = await normalizeVehicles();
+    console.log(`Vehicles: ${vehicles.updated} updated, ${vehicles.dropped} unknown connector names dropped`);
+
+    const stations = await normalizeStations();
+    console.log(`Charging stations: ${stations.updated} updated`);
+
+  } catch (error) {
+    console.error('\nConnector normalization failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+normalizeConnectorData();
@@ -0,0 +1,149 @@
+const Trip = require('../models/Trip');
+const CalendarFeed = require('../models/CalendarFeed');
+const { validationResult } = require('express-validator');
+const tripExportService = require('../services/tripExportService');
+const { generateSecretToken, hashToken } = require('../utils/tokenUtils');
+
+// Trips that belong in a subscribed calendar
+const FEED_STATUSES = ['planned', 'booked'];
+
+class CalendarController {
+
+    // Status of the user's calendar feed; the secret link itself is only shown when created
+    async getFeed(req, res) {
+        try {
+            const feed = await CalendarFeed.findOne({ userId: req.userId });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    active: Boolean(feed),
+                    createdAt: feed?.createdAt,
+                    lastAccessedAt: feed?.lastAccessedAt,
+                    accessCount: feed?.accessCount || 0
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching calendar feed:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Create the calendar feed, or replace its secret so the old link stops working
+    async createFeed(req, res) {
+        try {
+            const token = generateSecretToken();
+
+            const feed = await CalendarFeed.findOneAndUpdate(
+                { userId: req.userId },
+                {
+                    $set: {
+                        tokenHash: hashToken(token),
+                        accessCount: 0,
+                        updatedAt: Date.now()
+                    },
+                    $unset: { lastAccessedAt: '' },
+                    $setOnInsert: { createdAt: Date.now() }
+                },
+                { new: true, upsert: true }
+            );
+
+            const url = `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}.ics`;
+
+            res.status(201).json({
+                success: true,
+                message: 'Calendar feed created. Keep the link private, it is only shown once',
+                data: {
+                    url,
+                    webcalUrl: url.replace(/^https?:/, 'webcal:'),
+                    createdAt: feed.createdAt
+                }
+            });
+
+        } catch (error) {
+            console.error('Error creating calendar feed:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Revoke the calendar feed
+    async revokeFeed(req, res) {
+        try {
+            const result = await CalendarFeed.deleteOne({ userId: req.userId });
+            if (result.deletedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Calendar feed not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Calendar feed revoked'
+            });
+
+        } catch (error) {
+            console.error('Error revoking calendar feed:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Public iCalendar feed of planned and booked trips, opened with the secret token
+    async getFeedCalendar(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Calendar feed not found'
+                });
+            }
+
+            const feed = await CalendarFeed.findOneAndUpdate(
+                { tokenHash: hashToken(req.params.token) },
+                {
+                    $set: { lastAccessedAt: Date.now() },
+                    $inc: { accessCount: 1 }
+                }
+            );
+            if (!feed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Calendar feed not found'
+                });
+            }
+
+            const trips = await Trip.find({
+                ...Trip.accessQuery(feed.userId),
+                status: { $in: FEED_STATUSES }
+            }).sort({ 'tripDetails.startDate': 1 });
+
+            const calendar = await tripExportService.toIcsFeed(trips, 'EVF trips');
+
+            res.set({
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Cache-Control': 'private, max-age=900'
+            });
+            res.status(200).send(calendar);
+
+        } catch (error) {
+            console.error('Error building calendar feed:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = new CalendarController();
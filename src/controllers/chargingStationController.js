@@ -0,0 +1,107 @@
+const Trip = require('../models/Trip');
+const { validationResult } = require('express-validator');
+const chargingStationService = require('../services/chargingStationService');
+
+class ChargingStationController {
+
+    // Find charging stations around a point
+    async getNearbyStations(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const stations = await chargingStationService.findNearby({
+                latitude: parseFloat(req.query.lat),
+                longitude: parseFloat(req.query.lng),
+                radiusKm: parseFloat(req.query.radius) || 10,
+                limit: parseInt(req.query.limit) || 20,
+                minPower: parseFloat(req.query.minPower) || undefined,
+                connectorType: req.query.connectorType,
+                allowAdapters: req.query.allowAdapters !== 'false'
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    stations,
+                    count: stations.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error searching nearby charging stations:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to search charging stations',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Find charging stations along a trip route or an explicit list of points
+    async getStationsAlongRoute(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { tripId } = req.query;
+            let points = req.body?.points;
+
+            if (tripId) {
+                const trip = await Trip.findAccessible(tripId, req.userId);
+                if (!trip) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Trip not found'
+                    });
+                }
+                points = chargingStationService.routePointsForTrip(trip);
+            }
+
+            if (!Array.isArray(points) || points.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A trip with coordinates or at least two route points is required'
+                });
+            }
+
+            const stations = await chargingStationService.findAlongRoute(points, {
+                corridorKm: parseFloat(req.query.corridor) || 5,
+                limit: parseInt(req.query.limit) || 50,
+                minPower: parseFloat(req.query.minPower) || undefined,
+                connectorType: req.query.connectorType,
+                allowAdapters: req.query.allowAdapters !== 'false'
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    stations,
+                    count: stations.length
+                }
+            });
+
+        } catch (error) {
+            console.error('Error searching charging stations along route:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to search charging stations',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+}
+
+module.exports = new ChargingStationController();
@@ -0,0 +1,306 @@
+const Trip = require('../models/Trip');
+const TripShareLink = require('../models/TripShareLink');
+const { validationResult } = require('express-validator');
+const { generateSecretToken, hashToken } = require('../utils/tokenUtils');
+const { sendTripAccessError } = require('../utils/tripAccess');
+
+// What a shared trip shows: the plan itself, without owner, vehicle, booking or price data
+const sharedTripView = trip => {
+    const { tripDetails, generatedRoute, itinerary } = trip.toObject();
+
+    return {
+        status: trip.status,
+        tripDetails: {
+            fromLocation: tripDetails.fromLocation,
+            fromCoordinates: tripDetails.fromCoordinates,
+            toDestination: tripDetails.toDestination,
+            toCoordinates: tripDetails.toCoordinates,
+            startDate: tripDetails.startDate,
+            travelers: tripDetails.travelers,
+            stops: (tripDetails.stops || []).map(stop => ({
+                location: stop.location,
+                coordinates: stop.coordinates,
+                arrivalDate: stop.arrivalDate,
+                departureDate: stop.departureDate
+            }))
+        },
+        generatedRoute: generatedRoute ? {
+            totalDistance: generatedRoute.totalDistance,
+            totalDuration: generatedRoute.totalDuration,
+            legs: (generatedRoute.legs || []).map(leg => ({
+                day: leg.day,
+                from: leg.from,
+                to: leg.to,
+                fromCoordinates: leg.fromCoordinates,
+                toCoordinates: leg.toCoordinates,
+                distance: leg.distance,
+                duration: leg.duration,
+                endsWith: leg.endsWith
+            })),
+            waypoints: (generatedRoute.waypoints || []).map(waypoint => ({
+                location: waypoint.location,
+                coordinates: waypoint.coordinates,
+                purpose: waypoint.purpose,
+                day: waypoint.day,
+                overnight: waypoint.overnight,
+                chargeTime: waypoint.chargeTime
+            })),
+            hotels: (generatedRoute.hotels || []).map(hotel => ({
+                name: hotel.name,
+                location: hotel.location,
+                checkIn: hotel.checkIn,
+                checkOut: hotel.checkOut
+            })),
+            chargingStations: (generatedRoute.chargingStations || []).map(station => ({
+                name: station.name,
+                operator: station.operator,
+                location: station.location,
+                coordinates: station.coordinates,
+                maxPower: station.maxPower,
+                waypointIndex: station.waypointIndex,
+                chargeTime: station.chargeTime
+            }))
+        } : undefined,
+        itinerary: itinerary?.days?.length ? {
+            days: itinerary.days.map(day => ({
+                day: day.day,
+                date: day.date,
+                from: day.from,
+                to: day.to,
+                distance: day.distance,
+                driveTime: day.driveTime,
+                hotel: day.hotel ? { name: day.hotel.name, location: day.hotel.location } : undefined,
+                chargingStops: (day.chargingStops || []).map(stop => ({
+                    name: stop.name,
+                    location: stop.location,
+                    chargeTime: stop.chargeTime,
+                    overnight: stop.overnight
+                })),
+                summary: day.summary,
+                attractions: day.attractions,
+                notes: day.notes
+            })),
+            generatedAt: itinerary.generatedAt
+        } : undefined,
+        updatedAt: trip.updatedAt
+    };
+};
+
+const describeLink = link => ({
+    id: link._id,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    active: !link.revokedAt && (!link.expiresAt || link.expiresAt > new Date()),
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt
+});
+
+class ShareController {
+
+    // Create a share link for a trip; the link is only shown in this response
+    async createShareLink(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            // Owners and editors manage share links
+            const trip = await Trip.findAccessible(id, userId, 'editor').select('_id');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const token = generateSecretToken();
+            const link = await TripShareLink.create({
+                tripId: trip._id,
+                userId,
+                tokenHash: hashToken(token),
+                expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : undefined
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Share link created. It is only shown once',
+                data: {
+                    ...describeLink(link),
+                    url: `${req.protocol}://${req.get('host')}/api/shared/trips/${token}`
+                }
+            });
+
+        } catch (error) {
+            console.error('Error creating share link:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Share links of a trip with their view counts
+    async listShareLinks(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            // Owners and editors manage share links
+            const trip = await Trip.findAccessible(id, userId, 'editor').select('_id');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const links = await TripShareLink.find({ tripId: trip._id }).sort({ createdAt: -1 });
+
+            res.status(200).json({
+                success: true,
+                data: links.map(describeLink)
+            });
+
+        } catch (error) {
+            console.error('Error fetching share links:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Revoke a share link; it is kept so its view count stays visible
+    async revokeShareLink(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id, linkId } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId, 'editor').select('_id');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const link = await TripShareLink.findOneAndUpdate(
+                { _id: linkId, tripId: trip._id, revokedAt: null },
+                { $set: { revokedAt: Date.now(), updatedAt: Date.now() } },
+                { new: true }
+            );
+            if (!link) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Share link not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Share link revoked',
+                data: describeLink(link)
+            });
+
+        } catch (error) {
+            console.error('Error revoking share link:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid share link ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Public, redacted view of a shared trip, opened with the secret token
+    async getSharedTrip(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Shared trip not found'
+                });
+            }
+
+            // Expired, revoked and unknown links all look the same from outside
+            const link = await TripShareLink.findOneAndUpdate(
+                { tokenHash: hashToken(req.params.token), ...TripShareLink.activeQuery() },
+                {
+                    $set: { lastViewedAt: Date.now() },
+                    $inc: { viewCount: 1 }
+                }
+            );
+            if (!link) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Shared trip not found'
+                });
+            }
+
+            const trip = await Trip.findById(link.tripId);
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Shared trip not found'
+                });
+            }
+
+            res.set('Cache-Control', 'private, no-store');
+            res.status(200).json({
+                success: true,
+                data: sharedTripView(trip)
+            });
+
+        } catch (error) {
+            console.error('Error fetching shared trip:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = new ShareController();
@@ -0,0 +1,218 @@
+const Trip = require('../models/Trip');
+const TripChatMessage = require('../models/TripChatMessage');
+const { validationResult } = require('express-validator');
+const tripChatService = require('../services/tripChatService');
+const { sendTripAccessError } = require('../utils/tripAccess');
+
+// Status codes for proposals that cannot be applied
+const PROPOSAL_ERROR_STATUS = {
+    ALREADY_APPLIED: 409,
+    TRIP_CHANGED: 409,
+    INVALID_EDITS: 422,
+    AMBIGUOUS_LOCATION: 422
+};
+
+class TripChatController {
+
+    // Chat messages of a trip, oldest first; pages count back from the latest message
+    async getChatHistory(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const trip = await Trip.findAccessible(id, userId).select('_id');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            const messages = await TripChatMessage.find({ tripId: trip._id })
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .select('-__v');
+
+            const total = await TripChatMessage.countDocuments({ tripId: trip._id });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    messages: messages.reverse(),
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: Math.ceil(total / limit)
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching trip chat:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Ask for changes to the trip; the reply carries proposed edits with a preview of what they change
+    async sendChatMessage(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId, 'editor');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const result = await tripChatService.sendMessage(trip, userId, req.body.message);
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    message: result.message,
+                    reply: result.reply,
+                    preview: result.preview
+                }
+            });
+
+        } catch (error) {
+            console.error('Error sending trip chat message:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'ItineraryValidationError') {
+                return res.status(502).json({
+                    success: false,
+                    message: 'The AI reply could not be used, try rephrasing the message',
+                    errors: error.details.errors
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Failed to answer chat message',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Apply the edits proposed in an assistant reply; this is recorded as a new revision
+    async applyChatProposal(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id, messageId } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId, 'editor');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const result = await tripChatService.applyProposal(trip, messageId, userId);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Proposal not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.needsRegeneration
+                    ? 'Edits applied, generate the itinerary again to update the route'
+                    : 'Edits applied successfully',
+                data: {
+                    trip: result.trip,
+                    message: result.message,
+                    revision: result.revision,
+                    unresolvedLocations: result.unresolvedLocations,
+                    needsRegeneration: result.needsRegeneration
+                }
+            });
+
+        } catch (error) {
+            console.error('Error applying trip chat proposal:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'TripProposalError') {
+                return res.status(PROPOSAL_ERROR_STATUS[error.code]).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    errors: error.details.errors,
+                    data: error.details.revision ? { revision: error.details.revision } : undefined
+                });
+            }
+
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(err => ({
+                        field: err.path,
+                        message: err.message
+                    }))
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = new TripChatController();
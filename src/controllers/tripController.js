@@ -1,7 +1,26 @@
 const Trip = require('../models/Trip');
+const Vehicle = require('../models/Vehicle');
+const TripShareLink = require('../models/TripShareLink');
+const TripInvitation = require('../models/TripInvitation');
+const TripRevision = require('../models/TripRevision');
+const ItineraryJob = require('../models/ItineraryJob');
+const TripChatMessage = require('../models/TripChatMessage');
 const { validationResult } = require('express-validator');
-const aiService = require('../services/aiService');
 const hotelService = require('../services/hotelService');
+const chargeSimulationService = require('../services/chargeSimulationService');
+const chargingCostService = require('../services/chargingCostService');
+const tripCostService = require('../services/tripCostService');
+const itineraryService = require('../services/itineraryService');
+const geocodingService = require('../services/geocodingService');
+const tripExportService = require('../services/tripExportService');
+const tripDocumentService = require('../services/tripDocumentService');
+const tripRevisionService = require('../services/tripRevisionService');
+const tripStatusService = require('../services/tripStatusService');
+const itineraryGenerationService = require('../services/itineraryGenerationService');
+const dayRegenerationService = require('../services/dayRegenerationService');
+const tripParseService = require('../services/tripParseService');
+const { normalizeConnectors } = require('../utils/connectorUtils');
+const { sendTripAccessError } = require('../utils/tripAccess');
 
 class TripController {
 
@@ -21,181 +40,910 @@ class TripController {
             const userId = req.userId; // From Clerk authentication
             const tripData = req.body;
 
+            // Fill range and connector preferences from a saved vehicle profile
+            let vehicle = null;
+            if (tripData.vehicleId) {
+                vehicle = await Vehicle.findOne({ _id: tripData.vehicleId, userId });
+                if (!vehicle) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Vehicle not found'
+                    });
+                }
+            }
+
+            // Resolve coordinates for places given by name only
+            const geocoding = await geocodingService.resolveTripLocations({
+                fromLocation: tripData.fromLocation,
+                fromCoordinates: tripData.fromCoordinates,
+                toDestination: tripData.toDestination,
+                toCoordinates: tripData.toCoordinates,
+                stops: tripData.stops || []
+            });
+            const ambiguousLocations = geocoding.unresolved.filter(entry => entry.status === 'ambiguous');
+            if (ambiguousLocations.length > 0) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Some locations are ambiguous, pick one of the candidates and send its coordinates',
+                    errors: ambiguousLocations
+                });
+            }
+
             // Create new trip
             const newTrip = new Trip({
                 userId,
                 tripDetails: {
                     startDate: tripData.startDate,
                     fromLocation: tripData.fromLocation,
+                    fromCoordinates: geocoding.tripDetails.fromCoordinates,
                     toDestination: tripData.toDestination,
-                    stops: tripData.stops || [],
+                    toCoordinates: geocoding.tripDetails.toCoordinates,
+                    stops: geocoding.tripDetails.stops,
                     maxDrivingDistance: tripData.maxDrivingDistance || 500,
-                    evRange: tripData.evRange || 300,
+                    evRange: tripData.evRange || vehicle?.usableRange || 300,
+                    cruisingSpeed: tripData.cruisingSpeed,
+                    vehicleId: vehicle?._id,
+                    connectorPreferences: normalizeConnectors(tripData.connectorPreferences || vehicle?.connectorTypes || []),
+                    chargingPreferences: tripData.chargingPreferences,
                     hotelRequired: tripData.hotelRequired !== false, 
                     travelers: tripData.travelers || 2,
-                    rooms: tripData.rooms || 1
+                    rooms: tripData.rooms || 1,
+                    currency: tripData.currency,
+                    extras: tripData.extras || []
                 },
-                status: 'draft'
+                status: 'draft',
+                statusHistory: [{ to: 'draft', changedBy: userId, reason: 'Trip created' }]
+            });
+
+            const savedTrip = await newTrip.save();
+            await tripRevisionService.record(savedTrip, { userId, reason: 'created' });
+
+            res.status(201).json({
+                success: true,
+                message: 'Trip created successfully',
+                data: {
+                    trip: savedTrip,
+                    unresolvedLocations: geocoding.unresolved
+                }
+            });
+
+        } catch (error) {
+            console.error('Error creating trip:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Read trip details from a description; returns a draft for createTrip and the values to confirm
+    async parseTrip(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const result = await tripParseService.parse(req.body.text, req.userId, {
+                today: req.body.today
+            });
+
+            res.status(200).json({
+                success: true,
+                message: result.ready
+                    ? 'Trip details read from the description'
+                    : 'Some trip details need to be confirmed before the trip is created',
+                data: {
+                    draft: result.draft,
+                    uncertain: result.uncertain,
+                    ready: result.ready
+                }
+            });
+
+        } catch (error) {
+            console.error('Error parsing trip description:', error);
+
+            if (error.name === 'ItineraryValidationError') {
+                return res.status(502).json({
+                    success: false,
+                    message: 'The description could not be read, try rephrasing it',
+                    errors: error.details.errors
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Failed to read trip description',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Start AI itinerary generation; the client polls the returned job for progress
+    async generateItinerary(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            // Find the trip; planning it changes it, so viewers may not
+            const trip = await Trip.findAccessible(id, userId, 'editor');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const job = await itineraryGenerationService.start(trip, userId);
+
+            res.status(202).json({
+                success: true,
+                message: 'Itinerary generation started',
+                data: {
+                    jobId: job._id,
+                    status: job.status,
+                    statusUrl: `/api/trips/${trip._id}/jobs/${job._id}`
+                }
+            });
+
+        } catch (error) {
+            console.error('Error starting itinerary generation:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'RoutePlanningError') {
+                return res.status(422).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.details
+                });
+            }
+
+            if (error.name === 'ItineraryJobConflictError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    data: error.details
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate itinerary',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Generate the itinerary while streaming progress as Server-Sent Events:
+    // job, step, day, hotel, then complete with the saved trip or failed
+    async streamItinerary(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId, 'editor');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            // Input and lock errors are still answered as JSON, before the stream opens
+            const { job, routePlan } = await itineraryGenerationService.createJob(trip, userId);
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.status(200);
+            res.flushHeaders();
+
+            const disconnect = new AbortController();
+            const send = (event, data) => {
+                if (res.writableEnded || res.destroyed) return;
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+            // Comments keep proxies from closing a quiet connection while the AI is thinking
+            const heartbeat = setInterval(() => {
+                if (!res.writableEnded && !res.destroyed) res.write(': keep-alive\n\n');
+            }, 15000);
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                if (!res.writableEnded) disconnect.abort();
+            });
+
+            send('job', { jobId: job._id, statusUrl: `/api/trips/${trip._id}/jobs/${job._id}` });
+            await itineraryGenerationService.run(job._id, trip, routePlan, userId, {
+                emit: send,
+                signal: disconnect.signal
+            });
+
+            clearInterval(heartbeat);
+            res.end();
+
+        } catch (error) {
+            console.error('Error streaming itinerary generation:', error);
+
+            if (res.headersSent) {
+                return res.end();
+            }
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'RoutePlanningError') {
+                return res.status(422).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.details
+                });
+            }
+
+            if (error.name === 'ItineraryJobConflictError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    data: error.details
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate itinerary',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Status, progress and outcome of an itinerary generation job
+    async getItineraryJob(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id, jobId } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId).select('_id');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            const job = await ItineraryJob.findOne({ _id: jobId, tripId: trip._id }).select('-__v -active');
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    job
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching itinerary job:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Simulate state of charge along the generated route
+    async simulateCharge(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+            const { startingCharge, arrivalReserve, chargeTarget } = req.body;
+
+            const trip = await Trip.findAccessible(id, userId, 'editor');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            if (!trip.generatedRoute?.waypoints?.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Trip has no generated route to simulate'
+                });
+            }
+
+            const simulation = await chargeSimulationService.simulateTrip(trip, {
+                startingCharge,
+                arrivalReserve,
+                chargeTarget
+            });
+            const chargingCost = chargingCostService.estimateChargingCost({
+                waypoints: simulation.waypoints,
+                chargingStations: simulation.chargingStations,
+                currency: trip.tripDetails.currency
+            });
+
+            const updates = {
+                'generatedRoute.legs': simulation.legs,
+                'generatedRoute.waypoints': simulation.waypoints,
+                'generatedRoute.chargingStations': simulation.chargingStations,
+                chargeSimulation: simulation.summary,
+                'costEstimate.charging': chargingCost,
+                updatedAt: Date.now()
+            };
+            if (trip.itinerary?.days?.length) {
+                updates['itinerary.days'] = itineraryService.refreshChargingStops(
+                    trip.toObject().itinerary.days,
+                    simulation.waypoints,
+                    simulation.chargingStations
+                );
+            }
+
+            await tripRevisionService.ensureBaseline(trip._id);
+            const updatedTrip = await Trip.findByIdAndUpdate(
+                id,
+                { $set: updates },
+                { new: true }
+            ).select('-__v');
+            await tripRevisionService.record(updatedTrip, { userId, reason: 'charge_simulation' });
+
+            res.status(200).json({
+                success: true,
+                message: simulation.summary.feasible
+                    ? 'Charge simulation completed'
+                    : 'Charge simulation completed with legs below the arrival reserve',
+                data: {
+                    trip: updatedTrip,
+                    simulation: simulation.summary,
+                    chargingCost
+                }
+            });
+
+        } catch (error) {
+            console.error('Error simulating charge:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Get hotel details
+    async getHotelDetails(req, res) {
+        try {
+            const { tripId, hotelId } = req.params;
+            const userId = req.userId;
+
+            // Verify trip membership
+            const trip = await Trip.findAccessible(tripId, userId);
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            // Get hotel details from API
+            const hotelDetails = await hotelService.getHotelDetails(hotelId);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    hotel: hotelDetails
+                }
+            });
+
+        } catch (error) {
+            console.error('Error getting hotel details:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get hotel details'
+            });
+        }
+    }
+
+    // Get all trips for a user
+    async getUserTrips(req, res) {
+        try {
+            const userId = req.userId;
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 10;
+            const status = req.query.status;
+            const role = req.query.role;
+
+            // Build query: trips the user owns or was invited to, or only one of the two
+            let query = Trip.accessQuery(userId);
+            if (role === 'owner') query = { userId };
+            if (role === 'member') query = { 'members.userId': userId };
+            if (status) query.status = status;
+
+            // Execute query with pagination
+            const trips = await Trip.find(query)
+                .sort({ createdAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .select('-__v');
+
+            const total = await Trip.countDocuments(query);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    trips: trips.map(trip => ({ ...trip.toObject(), role: trip.roleOf(userId) })),
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: Math.ceil(total / limit)
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching user trips:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Get specific trip by ID
+    async getTripById(req, res) {
+        try {
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId).select('-__v');
+
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    trip
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching trip:', error);
+
+            // Handle invalid ObjectId
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Get full cost breakdown for a trip
+    async getTripCosts(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId);
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            const costs = await tripCostService.calculateTripCosts(trip);
+
+            res.status(200).json({
+                success: true,
+                message: 'Trip costs calculated successfully',
+                data: {
+                    costs
+                }
             });
 
-            const savedTrip = await newTrip.save();
+        } catch (error) {
+            console.error('Error calculating trip costs:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Get a single itinerary day
+    async getTripDay(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+            const dayNumber = parseInt(req.params.day);
+
+            const trip = await Trip.findAccessible(id, userId).select('itinerary');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
 
-            res.status(201).json({
+            const day = trip.itinerary?.days?.find(entry => entry.day === dayNumber);
+            if (!day) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Itinerary day not found'
+                });
+            }
+
+            res.status(200).json({
                 success: true,
-                message: 'Trip created successfully',
+                message: 'Itinerary day retrieved successfully',
                 data: {
-                    trip: savedTrip
+                    day,
+                    totalDays: trip.itinerary.days.length
                 }
             });
 
         } catch (error) {
-            console.error('Error creating trip:', error);
+            console.error('Error fetching itinerary day:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
             res.status(500).json({
                 success: false,
-                message: 'Internal server error',
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                message: 'Internal server error'
             });
         }
     }
 
-    // Generate AI itinerary for a trip
-    async generateItinerary(req, res) {
+    // Edit the traveler-facing text of a single itinerary day
+    async updateTripDay(req, res) {
         try {
-            const { id } = req.params;
-            const userId = req.userId;
-
-            // Find the trip
-            const trip = await Trip.findOne({ _id: id, userId });
-            if (!trip) {
-                return res.status(404).json({
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Trip not found'
+                    message: 'Validation failed',
+                    errors: errors.array()
                 });
             }
 
-            // Generate itinerary using AI
-            console.log('Generating AI itinerary for trip:', id);
-            const aiItinerary = await aiService.generateTripItinerary(trip);
+            const { id } = req.params;
+            const userId = req.userId;
+            const dayNumber = parseInt(req.params.day);
+
+            const updates = {};
+            ['summary', 'notes', 'attractions'].forEach(field => {
+                if (req.body[field] !== undefined) {
+                    updates[`itinerary.days.$.${field}`] = req.body[field];
+                }
+            });
 
-            // Verify hotels if hotel required
-            let verifiedHotels = [];
-            if (trip.tripDetails.hotelRequired && aiItinerary.hotels.length > 0) {
-                console.log('Verifying hotels with API...');
-                verifiedHotels = await hotelService.verifyAndSearchHotels(
-                    aiItinerary.hotels,
-                    trip.tripDetails
-                );
+            if (!await Trip.exists({ _id: id, ...Trip.accessQuery(userId, 'editor') })) {
+                return sendTripAccessError(res, id, userId);
             }
 
-            // Update trip with generated route
-            const updatedTrip = await Trip.findByIdAndUpdate(
-                id,
+            await tripRevisionService.ensureBaseline(id);
+            const trip = await Trip.findOneAndUpdate(
+                { _id: id, ...Trip.accessQuery(userId, 'editor'), 'itinerary.days.day': dayNumber },
                 {
                     $set: {
-                        generatedRoute: {
-                            totalDistance: aiItinerary.totalDistance,
-                            totalDuration: aiItinerary.totalDuration,
-                            waypoints: aiItinerary.waypoints,
-                            hotels: verifiedHotels,
-                            chargingStations: aiItinerary.chargingStations
-                        },
-                        aiGenerated: true,
-                        status: 'planned',
+                        ...updates,
                         updatedAt: Date.now()
                     }
                 },
-                { new: true }
+                {
+                    new: true,
+                    runValidators: true
+                }
             ).select('-__v');
 
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Itinerary day not found'
+                });
+            }
+
+            await tripRevisionService.record(trip, { userId, reason: 'manual_edit' });
+
             res.status(200).json({
                 success: true,
-                message: 'Itinerary generated successfully',
+                message: 'Itinerary day updated successfully',
                 data: {
-                    trip: updatedTrip,
-                    aiResponse: aiItinerary.rawResponse
+                    day: trip.itinerary.days.find(entry => entry.day === dayNumber)
                 }
             });
 
         } catch (error) {
-            console.error('Error generating itinerary:', error);
+            console.error('Error updating itinerary day:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'ValidationError') {
+                const validationErrors = Object.values(error.errors).map(err => ({
+                    field: err.path,
+                    message: err.message
+                }));
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validationErrors
+                });
+            }
+
             res.status(500).json({
                 success: false,
-                message: 'Failed to generate itinerary',
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                message: 'Internal server error'
             });
         }
     }
 
-    // Get hotel details
-    async getHotelDetails(req, res) {
+    // Replan one day with the AI, optionally following hints; the other days stay as they are
+    async regenerateTripDay(req, res) {
         try {
-            const { tripId, hotelId } = req.params;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
             const userId = req.userId;
+            const dayNumber = parseInt(req.params.day);
 
-            // Verify trip ownership
-            const trip = await Trip.findOne({ _id: tripId, userId });
+            const trip = await Trip.findAccessible(id, userId, 'editor');
             if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            if (!trip.generatedRoute?.legs?.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Trip has no generated route to regenerate'
+                });
+            }
+
+            const hasDay = trip.itinerary?.days?.some(day => day.day === dayNumber) &&
+                trip.generatedRoute.legs.some(leg => leg.day === dayNumber);
+            if (!hasDay) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Trip not found'
+                    message: 'Itinerary day not found'
                 });
             }
 
-            // Get hotel details from API
-            const hotelDetails = await hotelService.getHotelDetails(hotelId);
+            const result = await dayRegenerationService.regenerateDay(trip, dayNumber, {
+                hints: req.body.hints || [],
+                userId
+            });
 
             res.status(200).json({
                 success: true,
+                message: 'Itinerary day regenerated successfully',
                 data: {
-                    hotel: hotelDetails
+                    day: result.day,
+                    trip: result.trip,
+                    stationVerification: result.stationVerification,
+                    revision: result.revision?.revision
                 }
             });
 
         } catch (error) {
-            console.error('Error getting hotel details:', error);
+            console.error('Error regenerating itinerary day:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'ItineraryJobConflictError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    data: error.details
+                });
+            }
+
+            if (error.name === 'TripChangedError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
+            if (error.name === 'ItineraryValidationError') {
+                return res.status(502).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.details.errors
+                });
+            }
+
             res.status(500).json({
                 success: false,
-                message: 'Failed to get hotel details'
+                message: 'Failed to regenerate itinerary day',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Get all trips for a user
-    async getUserTrips(req, res) {
+    // Export the generated route as GPX, KML or an iCalendar file
+    async exportTrip(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
             const userId = req.userId;
-            const page = parseInt(req.query.page) || 1;
-            const limit = parseInt(req.query.limit) || 10;
-            const status = req.query.status;
+            const format = req.query.format || 'gpx';
 
-            // Build query
-            const query = { userId };
-            if (status) query.status = status;
+            const trip = await Trip.findAccessible(id, userId);
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
 
-            // Execute query with pagination
-            const trips = await Trip.find(query)
-                .sort({ createdAt: -1 })
-                .limit(limit * 1)
-                .skip((page - 1) * limit)
-                .select('-__v');
+            const exporters = {
+                gpx: { build: trip => tripExportService.toGpx(trip), contentType: 'application/gpx+xml' },
+                kml: { build: trip => tripExportService.toKml(trip), contentType: 'application/vnd.google-earth.kml+xml' },
+                ics: { build: trip => tripExportService.toIcs(trip), contentType: 'text/calendar; charset=utf-8' }
+            };
+            const document = await exporters[format].build(trip);
 
-            const total = await Trip.countDocuments(query);
+            const fileName = `${trip.tripDetails.fromLocation}-${trip.tripDetails.toDestination}`
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '') || 'trip';
 
-            res.status(200).json({
-                success: true,
-                data: {
-                    trips,
-                    pagination: {
-                        page,
-                        limit,
-                        total,
-                        pages: Math.ceil(total / limit)
-                    }
-                }
+            res.set({
+                'Content-Type': exporters[format].contentType,
+                'Content-Disposition': `attachment; filename="${fileName}.${format}"`
             });
+            res.status(200).send(document);
 
         } catch (error) {
-            console.error('Error fetching user trips:', error);
+            console.error('Error exporting trip:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'TripExportError') {
+                return res.status(error.details ? 422 : 400).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.details ? error.details.missing : undefined
+                });
+            }
+
             res.status(500).json({
                 success: false,
                 message: 'Internal server error'
@@ -203,14 +951,23 @@ class TripController {
         }
     }
 
-    // Get specific trip by ID
-    async getTripById(req, res) {
+    // Printable trip sheet as HTML or PDF
+    async getTripDocument(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
             const { id } = req.params;
             const userId = req.userId;
+            const format = req.query.format || 'html';
 
-            const trip = await Trip.findOne({ _id: id, userId }).select('-__v');
-
+            const trip = await Trip.findAccessible(id, userId);
             if (!trip) {
                 return res.status(404).json({
                     success: false,
@@ -218,17 +975,27 @@ class TripController {
                 });
             }
 
-            res.status(200).json({
-                success: true,
-                data: {
-                    trip
-                }
-            });
+            const document = await tripDocumentService.buildDocument(trip);
+
+            if (format === 'pdf') {
+                const fileName = `${trip.tripDetails.fromLocation}-${trip.tripDetails.toDestination}`
+                    .toLowerCase()
+                    .replace(/[^a-z0-9]+/g, '-')
+                    .replace(/^-|-$/g, '') || 'trip';
+
+                res.set({
+                    'Content-Type': 'application/pdf',
+                    'Content-Disposition': `inline; filename="${fileName}.pdf"`
+                });
+                return res.status(200).send(await tripDocumentService.toPdf(document));
+            }
+
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            res.status(200).send(tripDocumentService.toHtml(document));
 
         } catch (error) {
-            console.error('Error fetching trip:', error);
+            console.error('Error rendering trip document:', error);
 
-            // Handle invalid ObjectId
             if (error.name === 'CastError') {
                 return res.status(400).json({
                     success: false,
@@ -259,16 +1026,61 @@ class TripController {
             const userId = req.userId;
             const updateData = req.body;
 
+            const existingTrip = await Trip.findAccessible(id, userId, 'editor')
+                .select('tripDetails status generatedRoute.legs');
+            if (!existingTrip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            // Geocode places that are new or were renamed
+            let tripDetails = updateData.tripDetails;
+            let unresolvedLocations = [];
+            if (tripDetails) {
+                const geocoding = await geocodingService.resolveTripLocations(
+                    tripDetails,
+                    existingTrip.toObject().tripDetails
+                );
+                const ambiguousLocations = geocoding.unresolved.filter(entry => entry.status === 'ambiguous');
+                if (ambiguousLocations.length > 0) {
+                    return res.status(422).json({
+                        success: false,
+                        message: 'Some locations are ambiguous, pick one of the candidates and send its coordinates',
+                        errors: ambiguousLocations
+                    });
+                }
+
+                tripDetails = geocoding.tripDetails;
+                unresolvedLocations = geocoding.unresolved;
+            }
+
+            await tripRevisionService.ensureBaseline(existingTrip._id);
+
+            // Status changes follow the same rules as the status endpoint, checked against the trip as this
+            // update leaves it, and are saved in the same update so neither applies without the other
+            const statusChanged = Boolean(updateData.status) && updateData.status !== existingTrip.status;
+            const statusChange = statusChanged
+                ? await tripStatusService.transitionUpdate({
+                    _id: existingTrip._id,
+                    status: existingTrip.status,
+                    tripDetails: tripDetails || existingTrip.tripDetails,
+                    generatedRoute: updateData.generatedRoute || existingTrip.generatedRoute
+                }, updateData.status, {
+                    userId,
+                    reason: updateData.statusReason || 'Trip updated'
+                })
+                : { filter: {}, $set: {} };
+
             // Find and update trip
             const trip = await Trip.findOneAndUpdate(
-                { _id: id, userId },
+                { _id: id, ...Trip.accessQuery(userId, 'editor'), ...statusChange.filter },
                 {
                     $set: {
-                        tripDetails: updateData.tripDetails,
+                        tripDetails,
                         generatedRoute: updateData.generatedRoute,
-                        status: updateData.status,
+                        ...statusChange.$set,
                         updatedAt: Date.now()
-                    }
+                    },
+                    ...(statusChange.$push && { $push: statusChange.$push })
                 },
                 {
                     new: true,
@@ -277,17 +1089,21 @@ class TripController {
             ).select('-__v');
 
             if (!trip) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Trip not found'
-                });
+                if (statusChanged && await Trip.exists({ _id: id, ...Trip.accessQuery(userId, 'editor') })) {
+                    throw tripStatusService.statusChangedError(existingTrip.status, updateData.status);
+                }
+                return sendTripAccessError(res, id, userId);
             }
 
+            const statusOnly = statusChanged && !tripDetails && !updateData.generatedRoute;
+            await tripRevisionService.record(trip, { userId, reason: statusOnly ? 'status_change' : 'manual_edit' });
+
             res.status(200).json({
                 success: true,
                 message: 'Trip updated successfully',
                 data: {
-                    trip
+                    trip,
+                    unresolvedLocations
                 }
             });
 
@@ -301,6 +1117,15 @@ class TripController {
                 });
             }
 
+            if (error.name === 'TripStatusError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    errors: error.details
+                });
+            }
+
             if (error.name === 'ValidationError') {
                 return res.status(400).json({
                     success: false,
@@ -325,15 +1150,19 @@ class TripController {
             const { id } = req.params;
             const userId = req.userId;
 
-            const trip = await Trip.findOneAndDelete({ _id: id, userId });
+            // Only the owner can delete a trip
+            const trip = await Trip.findOneAndDelete({ _id: id, ...Trip.accessQuery(userId, 'owner') });
 
             if (!trip) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Trip not found'
-                });
+                return sendTripAccessError(res, id, userId);
             }
 
+            await TripShareLink.deleteMany({ tripId: trip._id });
+            await TripInvitation.deleteMany({ tripId: trip._id });
+            await TripRevision.deleteMany({ tripId: trip._id });
+            await ItineraryJob.deleteMany({ tripId: trip._id });
+            await TripChatMessage.deleteMany({ tripId: trip._id });
+
             res.status(200).json({
                 success: true,
                 message: 'Trip deleted successfully'
@@ -359,34 +1188,30 @@ class TripController {
     // Update trip status
     async updateTripStatus(req, res) {
         try {
-            const { id } = req.params;
-            const { status } = req.body;
-            const userId = req.userId;
-
-            const validStatuses = ['draft', 'planned', 'booked', 'completed', 'cancelled'];
-            if (!validStatuses.includes(status)) {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Invalid status value'
+                    message: 'Validation failed',
+                    errors: errors.array()
                 });
             }
 
-            const trip = await Trip.findOneAndUpdate(
-                { _id: id, userId },
-                {
-                    status,
-                    updatedAt: Date.now()
-                },
-                { new: true }
-            ).select('-__v');
+            const { id } = req.params;
+            const { status, reason } = req.body;
+            const userId = req.userId;
 
-            if (!trip) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Trip not found'
-                });
+            const existingTrip = await Trip.findAccessible(id, userId, 'editor')
+                .select('tripDetails status generatedRoute.legs');
+            if (!existingTrip) {
+                return sendTripAccessError(res, id, userId);
             }
 
+            await tripRevisionService.ensureBaseline(existingTrip._id);
+            const trip = await tripStatusService.transition(existingTrip, status, { userId, reason });
+
+            await tripRevisionService.record(trip, { userId, reason: 'status_change' });
+
             res.status(200).json({
                 success: true,
                 message: 'Trip status updated successfully',
@@ -405,6 +1230,15 @@ class TripController {
                 });
             }
 
+            if (error.name === 'TripStatusError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    errors: error.details
+                });
+            }
+
             res.status(500).json({
                 success: false,
                 message: 'Internal server error'
@@ -0,0 +1,541 @@
+const Trip = require('../models/Trip');
+const TripInvitation = require('../models/TripInvitation');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { sendTripInvitationEmail } = require('../services/emailService');
+const { sendTripAccessError } = require('../utils/tripAccess');
+
+const INVITATION_TTL_DAYS = 14;
+
+const describeInvitation = invitation => ({
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.status,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+});
+
+class TripMemberController {
+
+    // Owner and co-travelers of a trip; the owner also sees open invitations
+    async listMembers(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId).select('userId members');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            const entries = [
+                { userId: trip.userId, role: 'owner' },
+                ...trip.members.map(member => ({ userId: member.userId, role: member.role, joinedAt: member.joinedAt }))
+            ];
+            const users = await User.find({ _id: { $in: entries.map(entry => entry.userId) } })
+                .select('firstName lastName email');
+
+            const members = entries.map(entry => {
+                const user = users.find(candidate => candidate._id.toString() === entry.userId);
+                return {
+                    ...entry,
+                    name: user ? `${user.firstName} ${user.lastName}` : undefined,
+                    email: user?.email
+                };
+            });
+
+            const invitations = trip.hasRole(userId, 'owner')
+                ? await TripInvitation.find({ tripId: trip._id, ...TripInvitation.openQuery() }).sort({ createdAt: -1 })
+                : [];
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    role: trip.roleOf(userId),
+                    members,
+                    invitations: invitations.map(describeInvitation)
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching trip members:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Invite someone by email; only the owner can invite
+    async inviteMember(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+            const email = req.body.email;
+            const role = req.body.role || 'viewer';
+
+            const trip = await Trip.findAccessible(id, userId, 'owner');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            if (req.user.email.toLowerCase() === email) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot invite yourself'
+                });
+            }
+
+            const invitedUser = await User.findOne({ email }).select('_id');
+            if (invitedUser && trip.roleOf(invitedUser._id.toString())) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This person is already a member of the trip'
+                });
+            }
+
+            const existing = await TripInvitation.findOne({ tripId: trip._id, email, ...TripInvitation.openQuery() });
+            if (existing) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This person has already been invited',
+                    data: describeInvitation(existing)
+                });
+            }
+
+            const invitation = await TripInvitation.create({
+                tripId: trip._id,
+                invitedBy: userId,
+                email,
+                role,
+                expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+            });
+
+            // The invitation stands even if the email cannot be sent; it also shows up in the app
+            let emailSent = true;
+            try {
+                await sendTripInvitationEmail(email, {
+                    inviterName: `${req.user.firstName} ${req.user.lastName}`,
+                    tripName: `${trip.tripDetails.fromLocation} to ${trip.tripDetails.toDestination}`,
+                    role,
+                    expiresInDays: INVITATION_TTL_DAYS
+                });
+            } catch (emailError) {
+                console.error('Error sending trip invitation email:', emailError.message);
+                emailSent = false;
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Invitation created',
+                data: {
+                    ...describeInvitation(invitation),
+                    emailSent
+                }
+            });
+
+        } catch (error) {
+            console.error('Error inviting trip member:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Withdraw an invitation that has not been answered yet
+    async revokeInvitation(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id, invitationId } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId, 'owner').select('_id');
+            if (!trip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const invitation = await TripInvitation.findOneAndUpdate(
+                { _id: invitationId, tripId: trip._id, status: 'pending' },
+                { $set: { status: 'revoked', updatedAt: Date.now() } },
+                { new: true }
+            );
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Invitation revoked',
+                data: describeInvitation(invitation)
+            });
+
+        } catch (error) {
+            console.error('Error revoking trip invitation:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Change a co-traveler's role; only the owner can
+    async updateMemberRole(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id, memberId } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findOneAndUpdate(
+                { _id: id, ...Trip.accessQuery(userId, 'owner'), 'members.userId': memberId },
+                { $set: { 'members.$.role': req.body.role, updatedAt: Date.now() } },
+                { new: true, runValidators: true }
+            ).select('userId members');
+
+            if (!trip) {
+                if (!await Trip.exists({ _id: id, ...Trip.accessQuery(userId, 'owner') })) {
+                    return sendTripAccessError(res, id, userId);
+                }
+                return res.status(404).json({
+                    success: false,
+                    message: 'Member not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Member role updated',
+                data: trip.members.find(member => member.userId === memberId)
+            });
+
+        } catch (error) {
+            console.error('Error updating trip member:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // The owner removes a co-traveler, or a co-traveler leaves the trip
+    async removeMember(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id, memberId } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId).select('userId members');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            if (memberId !== userId && !trip.hasRole(userId, 'owner')) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            if (memberId === trip.userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The owner cannot leave the trip'
+                });
+            }
+
+            const result = await Trip.updateOne(
+                { _id: trip._id, 'members.userId': memberId },
+                {
+                    $pull: { members: { userId: memberId } },
+                    $set: { updatedAt: Date.now() }
+                }
+            );
+            if (result.modifiedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Member not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: memberId === userId ? 'You left the trip' : 'Member removed'
+            });
+
+        } catch (error) {
+            console.error('Error removing trip member:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Open invitations addressed to the signed-in user's email
+    async getMyInvitations(req, res) {
+        try {
+            const invitations = await TripInvitation.find({
+                email: req.user.email.toLowerCase(),
+                ...TripInvitation.openQuery()
+            })
+                .populate('tripId', 'tripDetails.fromLocation tripDetails.toDestination tripDetails.startDate')
+                .sort({ createdAt: -1 });
+
+            res.status(200).json({
+                success: true,
+                data: invitations
+                    .filter(invitation => invitation.tripId)
+                    .map(invitation => ({
+                        ...describeInvitation(invitation),
+                        trip: {
+                            id: invitation.tripId._id,
+                            fromLocation: invitation.tripId.tripDetails.fromLocation,
+                            toDestination: invitation.tripId.tripDetails.toDestination,
+                            startDate: invitation.tripId.tripDetails.startDate
+                        }
+                    }))
+            });
+
+        } catch (error) {
+            console.error('Error fetching invitations:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Join the trip with the role the invitation offers
+    async acceptInvitation(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const userId = req.userId;
+            const invitationQuery = {
+                _id: req.params.invitationId,
+                email: req.user.email.toLowerCase(),
+                ...TripInvitation.openQuery()
+            };
+
+            const invitation = await TripInvitation.findOne(invitationQuery);
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            const trip = await Trip.findById(invitation.tripId).select('userId members');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            if (trip.userId === userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You already own this trip'
+                });
+            }
+
+            // Claim the invitation first so it cannot be accepted twice
+            const accepted = await TripInvitation.findOneAndUpdate(
+                invitationQuery,
+                { $set: { status: 'accepted', respondedBy: userId, respondedAt: Date.now(), updatedAt: Date.now() } },
+                { new: true }
+            );
+            if (!accepted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            // Someone who is already a member takes the role of the newer invitation
+            if (trip.roleOf(userId)) {
+                await Trip.updateOne(
+                    { _id: trip._id, 'members.userId': userId },
+                    { $set: { 'members.$.role': accepted.role, 'members.$.invitationId': accepted._id } }
+                );
+            } else {
+                await Trip.updateOne(
+                    { _id: trip._id, 'members.userId': { $ne: userId } },
+                    { $push: { members: { userId, role: accepted.role, invitationId: accepted._id } } }
+                );
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Invitation accepted',
+                data: {
+                    tripId: trip._id,
+                    role: accepted.role
+                }
+            });
+
+        } catch (error) {
+            console.error('Error accepting invitation:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid invitation ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    async declineInvitation(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const invitation = await TripInvitation.findOneAndUpdate(
+                {
+                    _id: req.params.invitationId,
+                    email: req.user.email.toLowerCase(),
+                    ...TripInvitation.openQuery()
+                },
+                { $set: { status: 'declined', respondedBy: req.userId, respondedAt: Date.now(), updatedAt: Date.now() } },
+                { new: true }
+            );
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Invitation declined'
+            });
+
+        } catch (error) {
+            console.error('Error declining invitation:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid invitation ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = new TripMemberController();
@@ -0,0 +1,313 @@
+const Trip = require('../models/Trip');
+const TripRevision = require('../models/TripRevision');
+const { validationResult } = require('express-validator');
+const tripRevisionService = require('../services/tripRevisionService');
+const tripStatusService = require('../services/tripStatusService');
+const { TripStatusError } = require('../services/tripStatusService');
+const { sendTripAccessError } = require('../utils/tripAccess');
+
+class TripRevisionController {
+
+    // Revisions of a trip, newest first, without their snapshots
+    async listRevisions(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+
+            const trip = await Trip.findAccessible(id, userId).select('_id');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            const revisions = await TripRevision.find({ tripId: trip._id })
+                .sort({ revision: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit)
+                .select('-snapshot -__v');
+
+            const total = await TripRevision.countDocuments({ tripId: trip._id });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    revisions,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: Math.ceil(total / limit)
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching trip revisions:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // One revision with its snapshot
+    async getRevision(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId).select('_id');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            const revision = await TripRevision.findOne({
+                tripId: trip._id,
+                revision: parseInt(req.params.revision)
+            }).select('-__v');
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revision not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    revision
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching trip revision:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Field-by-field changes between two revisions; defaults to the latest and the one before it
+    async diffRevisions(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const trip = await Trip.findAccessible(id, userId).select('_id');
+            if (!trip) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Trip not found'
+                });
+            }
+
+            let to = parseInt(req.query.to);
+            if (!to) {
+                const latest = await TripRevision.findOne({ tripId: trip._id }).sort({ revision: -1 }).select('revision');
+                to = latest?.revision;
+            }
+            const from = parseInt(req.query.from) || to - 1;
+
+            const revisions = to ? await TripRevision.find({
+                tripId: trip._id,
+                revision: { $in: [from, to] }
+            }) : [];
+            const fromRevision = revisions.find(revision => revision.revision === from);
+            const toRevision = revisions.find(revision => revision.revision === to);
+
+            if (!fromRevision || !toRevision) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revision not found'
+                });
+            }
+
+            const changes = tripRevisionService.diff(fromRevision.snapshot, toRevision.snapshot);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    from: { revision: from, reason: fromRevision.reason, userId: fromRevision.userId, createdAt: fromRevision.createdAt },
+                    to: { revision: to, reason: toRevision.reason, userId: toRevision.userId, createdAt: toRevision.createdAt },
+                    summary: tripRevisionService.summarize(changes),
+                    changes
+                }
+            });
+
+        } catch (error) {
+            console.error('Error comparing trip revisions:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Put the plan back to an older revision; this is recorded as a new revision
+    async restoreRevision(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const userId = req.userId;
+
+            const existingTrip = await Trip.findAccessible(id, userId, 'editor').select('status');
+            if (!existingTrip) {
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const revision = await TripRevision.findOne({
+                tripId: existingTrip._id,
+                revision: parseInt(req.params.revision)
+            });
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revision not found'
+                });
+            }
+
+            // The status stays as it is, but planned and booked trips need a route. A planned trip restored
+            // to a plan without one goes back to draft; a booked trip cannot lose its route.
+            const update = tripRevisionService.restoreUpdate(revision.snapshot);
+            let filter = {};
+            if (['planned', 'booked'].includes(existingTrip.status) && !revision.snapshot.generatedRoute?.legs?.length) {
+                if (existingTrip.status === 'booked') {
+                    throw new TripStatusError(
+                        'ROUTE_REQUIRED',
+                        `Revision ${revision.revision} has no route, which a booked trip cannot do without`,
+                        { status: existingTrip.status, revision: revision.revision }
+                    );
+                }
+
+                const statusChange = await tripStatusService.transitionUpdate(existingTrip, 'draft', {
+                    userId,
+                    reason: `Restored revision ${revision.revision}, which has no route`
+                });
+                filter = statusChange.filter;
+                Object.assign(update.$set, statusChange.$set);
+                update.$push = statusChange.$push;
+            }
+
+            const trip = await Trip.findOneAndUpdate(
+                { _id: existingTrip._id, ...filter },
+                update,
+                { new: true, runValidators: true }
+            ).select('-__v');
+
+            if (!trip) {
+                if (filter.status) {
+                    throw tripStatusService.statusChangedError(existingTrip.status, 'draft');
+                }
+                return sendTripAccessError(res, id, userId);
+            }
+
+            const restored = await tripRevisionService.record(trip, {
+                userId,
+                reason: 'restore',
+                restoredFrom: revision.revision
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `Trip restored to revision ${revision.revision}`,
+                data: {
+                    trip,
+                    revision: restored?.revision
+                }
+            });
+
+        } catch (error) {
+            console.error('Error restoring trip revision:', error);
+
+            if (error.name === 'CastError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid trip ID format'
+                });
+            }
+
+            if (error.name === 'TripStatusError') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    errors: error.details
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = new TripRevisionController();
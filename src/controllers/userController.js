@@ -1,8 +1,10 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Booking = require("../models/Booking");
+const Trip = require("../models/Trip");
 const Contact = require("../models/Contact");
 const axios = require("axios");
+const mongoose = require("mongoose");
 require("dotenv").config();
 
 const CLERK_API_BASE = "https://api.clerk.dev/v1";
@@ -369,6 +371,22 @@ exports.pay = async (req, res) => {
       );
     }
 
+    // A booking can only be linked to a trip the payer may edit, checked before the card is charged
+    if (bookingDetails.tripId !== undefined && bookingDetails.tripId !== null) {
+      const trip = mongoose.isValidObjectId(bookingDetails.tripId)
+        ? await Trip.findAccessible(bookingDetails.tripId, req.userId, 'editor').select('_id')
+        : null;
+      if (!trip) {
+        return res.status(404).json(
+          createErrorResponse(
+            ERROR_TYPES.NOT_FOUND_ERROR, 
+            "Trip not found", 
+            { tripId: bookingDetails.tripId }
+          )
+        );
+      }
+    }
+
     // Stripe expects amount in cents
     const amountCents = Math.round(parseFloat(bookingDetails.totalPrice) * 100);
     
@@ -427,6 +445,7 @@ exports.pay = async (req, res) => {
       orderId: orderId,
       stripeChargeId: chargeRes.data.id,
       userId: bookingDetails.userId,
+      tripId: bookingDetails.tripId || undefined,
       amount: chargeRes.data.amount,
       currency: chargeRes.data.currency,
       paymentStatus: chargeRes.data.status,
@@ -0,0 +1,260 @@
+const Vehicle = require('../models/Vehicle');
+const { validationResult } = require('express-validator');
+const { normalizeConnectors } = require('../utils/connectorUtils');
+
+const EDITABLE_FIELDS = [
+    'name',
+    'make',
+    'model',
+    'year',
+    'batteryCapacity',
+    'consumption',
+    'usableRange',
+    'connectorTypes',
+    'maxDcChargePower',
+    'weight',
+    'isDefault'
+];
+
+class VehicleController {
+
+    // Get all vehicles for the authenticated user
+    async getVehicles(req, res) {
+        try {
+            const vehicles = await Vehicle.find({ userId: req.userId })
+                .sort({ isDefault: -1, createdAt: -1 })
+                .select('-__v');
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    vehicles
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching vehicles:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Create a vehicle profile
+    async createVehicle(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const userId = req.userId;
+            const vehicleData = {};
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) vehicleData[field] = req.body[field];
+            });
+            if (vehicleData.connectorTypes) {
+                vehicleData.connectorTypes = normalizeConnectors(vehicleData.connectorTypes);
+            }
+
+            // The first vehicle becomes the default one
+            const existingCount = await Vehicle.countDocuments({ userId });
+            if (existingCount === 0) {
+                vehicleData.isDefault = true;
+            }
+
+            const vehicle = await new Vehicle({ ...vehicleData, userId }).save();
+
+            if (vehicle.isDefault) {
+                await Vehicle.clearDefault(userId, vehicle._id);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Vehicle created successfully',
+                data: {
+                    vehicle
+                }
+            });
+
+        } catch (error) {
+            console.error('Error creating vehicle:', error);
+
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(err => ({
+                        field: err.path,
+                        message: err.message
+                    }))
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Get a specific vehicle
+    async getVehicleById(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const vehicle = await Vehicle.findOne({
+                _id: req.params.vehicleId,
+                userId: req.userId
+            }).select('-__v');
+
+            if (!vehicle) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    vehicle
+                }
+            });
+
+        } catch (error) {
+            console.error('Error fetching vehicle:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Update a vehicle profile
+    async updateVehicle(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const userId = req.userId;
+            const updateData = {};
+            EDITABLE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) updateData[field] = req.body[field];
+            });
+            if (updateData.connectorTypes) {
+                updateData.connectorTypes = normalizeConnectors(updateData.connectorTypes);
+            }
+
+            const vehicle = await Vehicle.findOneAndUpdate(
+                { _id: req.params.vehicleId, userId },
+                {
+                    $set: {
+                        ...updateData,
+                        updatedAt: Date.now()
+                    }
+                },
+                {
+                    new: true,
+                    runValidators: true
+                }
+            ).select('-__v');
+
+            if (!vehicle) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+
+            if (updateData.isDefault === true) {
+                await Vehicle.clearDefault(userId, vehicle._id);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Vehicle updated successfully',
+                data: {
+                    vehicle
+                }
+            });
+
+        } catch (error) {
+            console.error('Error updating vehicle:', error);
+
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(err => ({
+                        field: err.path,
+                        message: err.message
+                    }))
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    // Delete a vehicle profile
+    async deleteVehicle(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const vehicle = await Vehicle.findOneAndDelete({
+                _id: req.params.vehicleId,
+                userId: req.userId
+            });
+
+            if (!vehicle) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Vehicle deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Error deleting vehicle:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = new VehicleController();
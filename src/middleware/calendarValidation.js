@@ -0,0 +1,12 @@
+const { param } = require('express-validator');
+
+// Validation for opening a subscribed calendar feed
+const validateFeedToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{32,64}$/)
+    .withMessage('Invalid calendar feed token')
+];
+
+module.exports = {
+  validateFeedToken
+};
@@ -0,0 +1,93 @@
+const { body, query } = require('express-validator');
+const { CONNECTOR_TYPES, normalizeConnector } = require('../utils/connectorUtils');
+
+const connectorTypeMessage = `Connector type must be one of: ${CONNECTOR_TYPES.join(', ')}`;
+
+// Validation for searching stations around a point
+const validateNearbyStations = [
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  query('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  query('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Radius must be between 0.1 and 100 km'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('minPower')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum power must be a positive number'),
+
+  query('connectorType')
+    .optional()
+    .trim()
+    .custom(value => normalizeConnector(value) !== null)
+    .withMessage(connectorTypeMessage),
+
+  query('allowAdapters')
+    .optional()
+    .isBoolean()
+    .withMessage('allowAdapters must be a boolean value')
+];
+
+// Validation for searching stations along a trip or a list of points
+const validateAlongRouteStations = [
+  query('tripId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+
+  query('corridor')
+    .optional()
+    .isFloat({ min: 0.5, max: 50 })
+    .withMessage('Corridor must be between 0.5 and 50 km'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  query('minPower')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum power must be a positive number'),
+
+  query('connectorType')
+    .optional()
+    .trim()
+    .custom(value => normalizeConnector(value) !== null)
+    .withMessage(connectorTypeMessage),
+
+  query('allowAdapters')
+    .optional()
+    .isBoolean()
+    .withMessage('allowAdapters must be a boolean value'),
+
+  body('points')
+    .optional()
+    .isArray({ min: 2, max: 500 })
+    .withMessage('Points must be an array of 2 to 500 coordinates'),
+
+  body('points.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('points.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+];
+
+module.exports = {
+  validateNearbyStations,
+  validateAlongRouteStations
+};
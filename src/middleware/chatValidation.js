@@ -0,0 +1,49 @@
+const { body, param, query } = require('express-validator');
+
+const tripId = () => param('id')
+  .isMongoId()
+  .withMessage('Invalid trip ID format');
+
+// Validation for reading a trip's chat
+const validateChatHistory = [
+  tripId(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for sending a chat message
+const validateSendChatMessage = [
+  tripId(),
+
+  body('message')
+    .isString()
+    .withMessage('Message must be text')
+    .trim()
+    .notEmpty()
+    .withMessage('Message is required')
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters')
+];
+
+// Validation for applying the edits proposed in a chat reply
+const validateApplyChatProposal = [
+  tripId(),
+
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID format')
+];
+
+module.exports = {
+  validateChatHistory,
+  validateSendChatMessage,
+  validateApplyChatProposal
+};
@@ -0,0 +1,70 @@
+const { body, param } = require('express-validator');
+
+const tripId = () => param('id')
+  .isMongoId()
+  .withMessage('Invalid trip ID format');
+
+const memberId = () => param('memberId')
+  .isMongoId()
+  .withMessage('Invalid member ID format');
+
+const invitationId = () => param('invitationId')
+  .isMongoId()
+  .withMessage('Invalid invitation ID format');
+
+// Validation for listing a trip's members
+const validateListMembers = [
+  tripId()
+];
+
+// Validation for inviting someone to a trip
+const validateInviteMember = [
+  tripId(),
+
+  body('email')
+    .trim()
+    .toLowerCase()
+    .isEmail()
+    .withMessage('A valid email address is required'),
+
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer'])
+    .withMessage('Role must be editor or viewer')
+];
+
+// Validation for changing a member's role
+const validateUpdateMember = [
+  tripId(),
+  memberId(),
+
+  body('role')
+    .isIn(['editor', 'viewer'])
+    .withMessage('Role must be editor or viewer')
+];
+
+// Validation for removing a member or leaving a trip
+const validateRemoveMember = [
+  tripId(),
+  memberId()
+];
+
+// Validation for revoking an invitation
+const validateRevokeInvitation = [
+  tripId(),
+  invitationId()
+];
+
+// Validation for accepting or declining an invitation
+const validateRespondToInvitation = [
+  invitationId()
+];
+
+module.exports = {
+  validateListMembers,
+  validateInviteMember,
+  validateUpdateMember,
+  validateRemoveMember,
+  validateRevokeInvitation,
+  validateRespondToInvitation
+};
@@ -0,0 +1,51 @@
+const { param, query } = require('express-validator');
+
+const tripId = () => param('id')
+  .isMongoId()
+  .withMessage('Invalid trip ID format');
+
+const revisionNumber = () => param('revision')
+  .isInt({ min: 1 })
+  .withMessage('Revision must be a positive integer');
+
+// Validation for listing a trip's revisions
+const validateListRevisions = [
+  tripId(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Validation for fetching or restoring one revision
+const validateRevision = [
+  tripId(),
+  revisionNumber()
+];
+
+// Validation for comparing two revisions
+const validateDiffRevisions = [
+  tripId(),
+
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('From must be a positive revision number'),
+
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To must be a positive revision number')
+];
+
+module.exports = {
+  validateListRevisions,
+  validateRevision,
+  validateDiffRevisions
+};
@@ -0,0 +1,51 @@
+const { body, param } = require('express-validator');
+
+// Validation for creating a share link
+const validateCreateShareLink = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    })
+];
+
+// Validation for listing a trip's share links
+const validateListShareLinks = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format')
+];
+
+// Validation for revoking a share link
+const validateRevokeShareLink = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid share link ID format')
+];
+
+// Validation for opening a shared trip
+const validateShareToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{32,64}$/)
+    .withMessage('Invalid share token')
+];
+
+module.exports = {
+  validateCreateShareLink,
+  validateListShareLinks,
+  validateRevokeShareLink,
+  validateShareToken
+};
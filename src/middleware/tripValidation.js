@@ -1,4 +1,8 @@
 const { body, param, query } = require('express-validator');
+const { CONNECTOR_TYPES, normalizeConnector } = require('../utils/connectorUtils');
+const chargingCostService = require('../services/chargingCostService');
+
+const isSupportedCurrency = (value) => chargingCostService.supportedCurrencies().includes(value.toUpperCase());
 
 // Validation for creating a trip
 const validateCreateTrip = [
@@ -26,6 +30,26 @@ const validateCreateTrip = [
     .isLength({ min: 2, max: 100 })
     .withMessage('To destination must be between 2 and 100 characters'),
   
+  body('fromCoordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('fromCoordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('toCoordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('toCoordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
   body('maxDrivingDistance')
     .optional()
     .isInt({ min: 100, max: 1000 })
@@ -36,6 +60,41 @@ const validateCreateTrip = [
     .isInt({ min: 50, max: 800 })
     .withMessage('EV range must be between 50 and 800 km'),
   
+  body('cruisingSpeed')
+    .optional()
+    .isInt({ min: 60, max: 150 })
+    .withMessage('Cruising speed must be between 60 and 150 km/h'),
+  
+  body('vehicleId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid vehicle ID format'),
+  
+  body('connectorPreferences')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Connector preferences must be an array of at most 6 entries'),
+  
+  body('connectorPreferences.*')
+    .isString()
+    .custom(value => normalizeConnector(value) !== null)
+    .withMessage(`Connector type must be one of: ${CONNECTOR_TYPES.join(', ')}`),
+  
+  body('chargingPreferences.startingCharge')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Starting charge must be between 1 and 100 percent'),
+  
+  body('chargingPreferences.arrivalReserve')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Arrival reserve must be between 0 and 50 percent'),
+  
+  body('chargingPreferences.chargeTarget')
+    .optional()
+    .isFloat({ min: 50, max: 100 })
+    .withMessage('Charge target must be between 50 and 100 percent'),
+  
   body('hotelRequired')
     .optional()
     .isBoolean()
@@ -51,6 +110,48 @@ const validateCreateTrip = [
     .isInt({ min: 1, max: 5 })
     .withMessage('Number of rooms must be between 1 and 5'),
   
+  body('currency')
+    .optional()
+    .isString()
+    .custom(isSupportedCurrency)
+    .withMessage('Unsupported currency'),
+  
+  body('extras')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Maximum 30 extra costs allowed'),
+  
+  body('extras.*.category')
+    .optional()
+    .isIn(['toll', 'vignette', 'ferry', 'parking', 'other'])
+    .withMessage('Extra cost category must be toll, vignette, ferry, parking or other'),
+  
+  body('extras.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Extra cost description cannot exceed 200 characters'),
+  
+  body('extras.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Extra cost amount must be a positive number'),
+  
+  body('extras.*.currency')
+    .optional()
+    .isString()
+    .custom(isSupportedCurrency)
+    .withMessage('Unsupported currency'),
+  
+  body('extras.*.day')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Extra cost day must be a positive integer'),
+  
+  body('extras.*.perTraveler')
+    .optional()
+    .isBoolean()
+    .withMessage('Per traveler flag must be a boolean value'),
+  
   body('stops')
     .optional()
     .isArray({ max: 5 })
@@ -77,6 +178,25 @@ const validateCreateTrip = [
     .withMessage('Longitude must be between -180 and 180')
 ];
 
+// Validation for reading a trip from a free-text description
+const validateParseTrip = [
+  body('text')
+    .isString()
+    .withMessage('Text must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Text is required')
+    .isLength({ max: 1000 })
+    .withMessage('Text cannot exceed 1000 characters'),
+  
+  body('today')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Today must be a date in YYYY-MM-DD format')
+    .isISO8601({ strict: true })
+    .withMessage('Today must be a valid date')
+];
+
 // Validation for updating a trip
 const validateUpdateTrip = [
   param('id')
@@ -104,6 +224,26 @@ const validateUpdateTrip = [
     .isLength({ min: 2, max: 100 })
     .withMessage('To destination must be between 2 and 100 characters'),
   
+  body('tripDetails.fromCoordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('tripDetails.fromCoordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('tripDetails.toCoordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('tripDetails.toCoordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
   body('tripDetails.maxDrivingDistance')
     .optional()
     .isInt({ min: 100, max: 1000 })
@@ -114,10 +254,116 @@ const validateUpdateTrip = [
     .isInt({ min: 50, max: 800 })
     .withMessage('EV range must be between 50 and 800 km'),
   
+  body('tripDetails.cruisingSpeed')
+    .optional()
+    .isInt({ min: 60, max: 150 })
+    .withMessage('Cruising speed must be between 60 and 150 km/h'),
+  
+  body('tripDetails.currency')
+    .optional()
+    .isString()
+    .custom(isSupportedCurrency)
+    .withMessage('Unsupported currency'),
+  
+  body('tripDetails.extras')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Maximum 30 extra costs allowed'),
+  
+  body('tripDetails.extras.*.category')
+    .optional()
+    .isIn(['toll', 'vignette', 'ferry', 'parking', 'other'])
+    .withMessage('Extra cost category must be toll, vignette, ferry, parking or other'),
+  
+  body('tripDetails.extras.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Extra cost description cannot exceed 200 characters'),
+  
+  body('tripDetails.extras.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Extra cost amount must be a positive number'),
+  
+  body('tripDetails.extras.*.currency')
+    .optional()
+    .isString()
+    .custom(isSupportedCurrency)
+    .withMessage('Unsupported currency'),
+  
+  body('tripDetails.extras.*.day')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Extra cost day must be a positive integer'),
+  
+  body('tripDetails.extras.*.perTraveler')
+    .optional()
+    .isBoolean()
+    .withMessage('Per traveler flag must be a boolean value'),
+  
+  body('tripDetails.chargingPreferences.startingCharge')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Starting charge must be between 1 and 100 percent'),
+  
+  body('tripDetails.chargingPreferences.arrivalReserve')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Arrival reserve must be between 0 and 50 percent'),
+  
+  body('tripDetails.chargingPreferences.chargeTarget')
+    .optional()
+    .isFloat({ min: 50, max: 100 })
+    .withMessage('Charge target must be between 50 and 100 percent'),
+  
+  body('tripDetails.connectorPreferences')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Connector preferences must be an array of at most 6 entries'),
+  
+  body('tripDetails.connectorPreferences.*')
+    .isString()
+    .custom(value => normalizeConnector(value) !== null)
+    .withMessage(`Connector type must be one of: ${CONNECTOR_TYPES.join(', ')}`),
+  
+  body('tripDetails.hotelRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('Hotel required must be a boolean value'),
+  
+  body('tripDetails.travelers')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Number of travelers must be between 1 and 10'),
+  
+  body('tripDetails.rooms')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Number of rooms must be between 1 and 5'),
+  
+  body('tripDetails.stops')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 stops allowed'),
+  
+  body('tripDetails.stops.*.location')
+    .if(body('tripDetails.stops').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Stop location is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Stop location must be between 2 and 100 characters'),
+  
   body('status')
     .optional()
     .isIn(['draft', 'planned', 'booked', 'completed', 'cancelled'])
-    .withMessage('Invalid status value')
+    .withMessage('Invalid status value'),
+  
+  body('statusReason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Status reason cannot exceed 500 characters')
 ];
 
 // Validation for getting trip by ID
@@ -144,7 +390,160 @@ const validateUpdateTripStatus = [
     .notEmpty()
     .withMessage('Status is required')
     .isIn(['draft', 'planned', 'booked', 'completed', 'cancelled'])
-    .withMessage('Invalid status value')
+    .withMessage('Invalid status value'),
+  
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation for simulating state of charge along the route
+const validateSimulateCharge = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  body('startingCharge')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Starting charge must be between 1 and 100 percent'),
+  
+  body('arrivalReserve')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Arrival reserve must be between 0 and 50 percent'),
+  
+  body('chargeTarget')
+    .optional()
+    .isFloat({ min: 50, max: 100 })
+    .withMessage('Charge target must be between 50 and 100 percent')
+];
+
+// Validation for getting a single itinerary day
+const validateGetTripDay = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  param('day')
+    .isInt({ min: 1 })
+    .withMessage('Day must be a positive integer')
+];
+
+// Validation for editing a single itinerary day
+const validateUpdateTripDay = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  param('day')
+    .isInt({ min: 1 })
+    .withMessage('Day must be a positive integer'),
+  
+  body('summary')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Summary cannot exceed 500 characters'),
+  
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters'),
+  
+  body('attractions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Maximum 20 attractions allowed'),
+  
+  body('attractions.*.name')
+    .if(body('attractions').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Attraction name is required')
+    .isLength({ max: 100 })
+    .withMessage('Attraction name cannot exceed 100 characters'),
+  
+  body('attractions.*.location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Attraction location cannot exceed 100 characters'),
+  
+  body('attractions.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Attraction description cannot exceed 500 characters')
+];
+
+const validateRegenerateTripDay = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  param('day')
+    .isInt({ min: 1 })
+    .withMessage('Day must be a positive integer'),
+  
+  body('hints')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 hints allowed'),
+  
+  body('hints.*')
+    .isString()
+    .withMessage('Each hint must be text')
+    .trim()
+    .notEmpty()
+    .withMessage('Hints cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Each hint cannot exceed 200 characters')
+];
+
+// Validation for exporting a trip route
+const validateExportTrip = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  query('format')
+    .optional()
+    .isIn(['gpx', 'kml', 'ics'])
+    .withMessage('Export format must be gpx, kml or ics')
+];
+
+// Validation for the printable trip document
+const validateTripDocument = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  query('format')
+    .optional()
+    .isIn(['html', 'pdf'])
+    .withMessage('Document format must be html or pdf')
+];
+
+// Validation for starting itinerary generation
+const validateGenerateItinerary = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format')
+];
+
+// Validation for polling an itinerary generation job
+const validateGetItineraryJob = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID format'),
+  
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID format')
 ];
 
 // Validation for getting user trips with query parameters
@@ -162,14 +561,28 @@ const validateGetUserTrips = [
   query('status')
     .optional()
     .isIn(['draft', 'planned', 'booked', 'completed', 'cancelled'])
-    .withMessage('Invalid status filter')
+    .withMessage('Invalid status filter'),
+  
+  query('role')
+    .optional()
+    .isIn(['owner', 'member'])
+    .withMessage('Role filter must be owner or member')
 ];
 
 module.exports = {
   validateCreateTrip,
+  validateParseTrip,
   validateUpdateTrip,
   validateGetTripById,
   validateDeleteTrip,
   validateUpdateTripStatus,
+  validateSimulateCharge,
+  validateGetTripDay,
+  validateUpdateTripDay,
+  validateRegenerateTripDay,
+  validateExportTrip,
+  validateTripDocument,
+  validateGenerateItinerary,
+  validateGetItineraryJob,
   validateGetUserTrips
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+const { body, param } = require('express-validator');
+const { CONNECTOR_TYPES, normalizeConnector } = require('../utils/connectorUtils');
+
+const connectorTypeMessage = `Connector type must be one of: ${CONNECTOR_TYPES.join(', ')}`;
+
+// Validation for creating a vehicle
+const validateCreateVehicle = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Vehicle name is required')
+    .isLength({ max: 100 })
+    .withMessage('Vehicle name must be at most 100 characters'),
+
+  body('make')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make must be at most 50 characters'),
+
+  body('model')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Model must be at most 50 characters'),
+
+  body('year')
+    .optional()
+    .isInt({ min: 1990, max: 2100 })
+    .withMessage('Year must be between 1990 and 2100'),
+
+  body('batteryCapacity')
+    .isFloat({ min: 10, max: 250 })
+    .withMessage('Battery capacity must be between 10 and 250 kWh'),
+
+  body('consumption')
+    .isFloat({ min: 5, max: 60 })
+    .withMessage('Consumption must be between 5 and 60 kWh/100 km'),
+
+  body('usableRange')
+    .isInt({ min: 50, max: 800 })
+    .withMessage('Usable range must be between 50 and 800 km'),
+
+  body('connectorTypes')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Connector types must be an array of at most 6 entries'),
+
+  body('connectorTypes.*')
+    .isString()
+    .trim()
+    .custom(value => normalizeConnector(value) !== null)
+    .withMessage(connectorTypeMessage),
+
+  body('maxDcChargePower')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Max DC charge power must be between 0 and 1000 kW'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 500, max: 5000 })
+    .withMessage('Weight must be between 500 and 5000 kg'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+];
+
+// Validation for updating a vehicle
+const validateUpdateVehicle = [
+  param('vehicleId')
+    .isMongoId()
+    .withMessage('Invalid vehicle ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Vehicle name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Vehicle name must be at most 100 characters'),
+
+  body('make')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Make must be at most 50 characters'),
+
+  body('model')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Model must be at most 50 characters'),
+
+  body('year')
+    .optional()
+    .isInt({ min: 1990, max: 2100 })
+    .withMessage('Year must be between 1990 and 2100'),
+
+  body('batteryCapacity')
+    .optional()
+    .isFloat({ min: 10, max: 250 })
+    .withMessage('Battery capacity must be between 10 and 250 kWh'),
+
+  body('consumption')
+    .optional()
+    .isFloat({ min: 5, max: 60 })
+    .withMessage('Consumption must be between 5 and 60 kWh/100 km'),
+
+  body('usableRange')
+    .optional()
+    .isInt({ min: 50, max: 800 })
+    .withMessage('Usable range must be between 50 and 800 km'),
+
+  body('connectorTypes')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Connector types must be an array of at most 6 entries'),
+
+  body('connectorTypes.*')
+    .isString()
+    .trim()
+    .custom(value => normalizeConnector(value) !== null)
+    .withMessage(connectorTypeMessage),
+
+  body('maxDcChargePower')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Max DC charge power must be between 0 and 1000 kW'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 500, max: 5000 })
+    .withMessage('Weight must be between 500 and 5000 kg'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+];
+
+// Validation for routes addressing a single vehicle
+const validateVehicleId = [
+  param('vehicleId')
+    .isMongoId()
+    .withMessage('Invalid vehicle ID format')
+];
+
+module.exports = {
+  validateCreateVehicle,
+  validateUpdateVehicle,
+  validateVehicleId
+};
@@ -17,6 +17,12 @@ const bookingSchema = new mongoose.Schema({
     required: true,
     unique: false
   },
+  // Trip the booking was made for, if any
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    index: true
+  },
   amount: {
     type: Number,
     required: true
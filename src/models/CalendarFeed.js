@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Subscribable calendar of a user's trips, reachable through a secret token
+const calendarFeedSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastAccessedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+calendarFeedSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { CONNECTOR_TYPES } = require('../utils/connectorUtils');
+
+const connectorSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Normalized connector, unset when the raw type is not in the taxonomy
+  standard: {
+    type: String,
+    enum: CONNECTOR_TYPES
+  },
+  powerKw: {
+    type: Number,
+    min: 0
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  currentType: {
+    type: String,
+    enum: ['AC', 'DC', 'unknown'],
+    default: 'unknown'
+  }
+}, { _id: false });
+
+// Charging Station Schema - imported from Open Charge Map style dumps
+const chargingStationSchema = new mongoose.Schema({
+  externalId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['open_charge_map', 'manual'],
+    default: 'open_charge_map'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  operator: {
+    name: {
+      type: String,
+      trim: true
+    },
+    website: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // GeoJSON point, coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'Location must be [longitude, latitude]'
+      }
+    }
+  },
+
+  address: {
+    line1: String,
+    town: String,
+    state: String,
+    postcode: String,
+    country: {
+      type: String,
+      uppercase: true,
+      maxlength: 2
+    }
+  },
+
+  connectors: [connectorSchema],
+
+  // Highest connector power, kept for quick filtering
+  maxPower: {
+    type: Number,
+    min: 0,
+    index: true
+  },
+
+  access: {
+    isPublic: {
+      type: Boolean,
+      default: true
+    },
+    membershipRequired: {
+      type: Boolean,
+      default: false
+    },
+    payAtLocation: {
+      type: Boolean
+    },
+    usageCost: String,
+    comments: String
+  },
+
+  isOperational: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  lastImportedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+chargingStationSchema.index({ location: '2dsphere' });
+chargingStationSchema.index({ name: 'text', 'operator.name': 'text', 'address.town': 'text' });
+
+// Latitude/longitude in the shape used by trips and hotels
+chargingStationSchema.virtual('coordinates').get(function() {
+  if (!this.location || !this.location.coordinates) return null;
+  return {
+    latitude: this.location.coordinates[1],
+    longitude: this.location.coordinates[0]
+  };
+});
+
+chargingStationSchema.pre('save', function(next) {
+  if (this.isModified('connectors')) {
+    this.maxPower = chargingStationSchema.statics.highestPower(this.connectors);
+  }
+  next();
+});
+
+// Static Methods
+chargingStationSchema.statics.highestPower = function(connectors = []) {
+  return connectors.reduce((max, connector) => Math.max(max, connector.powerKw || 0), 0);
+};
+
+// Stations around a point, closest first, with their distance in kilometers
+chargingStationSchema.statics.findNearby = function({ latitude, longitude, radiusKm = 10, limit = 20, filters = {} }) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: { isOperational: true, ...filters }
+      }
+    },
+    { $limit: limit },
+    { $project: { __v: 0 } }
+  ]);
+};
+
+const ChargingStation = mongoose.model('ChargingStation', chargingStationSchema);
+
+module.exports = ChargingStation;
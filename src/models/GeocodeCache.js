@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const candidateSchema = new mongoose.Schema({
+  externalId: String,
+  name: String,
+  displayName: String,
+  country: String,
+  region: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  population: Number,
+  score: Number,
+  source: String
+}, { _id: false });
+
+// Geocoding Cache Schema - one entry per provider and normalized query
+const geocodeCacheSchema = new mongoose.Schema({
+  queryKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  query: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['resolved', 'ambiguous', 'not_found'],
+    required: true
+  },
+  location: candidateSchema,
+  candidates: [candidateSchema],
+  hitCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // MongoDB TTL index
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to generate the cache key
+geocodeCacheSchema.statics.generateQueryKey = function (provider, query, country) {
+  const normalizedQuery = String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+  return [provider, country ? country.toUpperCase() : '*', normalizedQuery].join('|');
+};
+
+geocodeCacheSchema.statics.findValid = function (provider, query, country) {
+  return this.findOneAndUpdate(
+    {
+      queryKey: this.generateQueryKey(provider, query, country),
+      expiresAt: { $gt: new Date() }
+    },
+    { $inc: { hitCount: 1 } },
+    { new: true }
+  );
+};
+
+geocodeCacheSchema.statics.store = function (provider, query, country, result, ttlDays) {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + ttlDays);
+
+  return this.findOneAndUpdate(
+    { queryKey: this.generateQueryKey(provider, query, country) },
+    {
+      query,
+      provider,
+      status: result.status,
+      location: result.location,
+      candidates: result.candidates,
+      expiresAt
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const GeocodeCache = mongoose.model('GeocodeCache', geocodeCacheSchema);
+
+module.exports = GeocodeCache;
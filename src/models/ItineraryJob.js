@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const jobStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  message: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+// One run of itinerary generation for a trip, polled by the client while it works
+const itineraryJobSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  // Set while queued or running; a unique index on it allows one active job per trip
+  active: {
+    type: Boolean,
+    default: true
+  },
+  currentStep: String,
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  steps: [jobStepSchema],
+  result: {
+    revision: Number,
+    connectorWarnings: [mongoose.Schema.Types.Mixed],
+    aiResponse: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: String,
+    code: String,
+    details: mongoose.Schema.Types.Mixed
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+itineraryJobSchema.index(
+  { tripId: 1, active: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+itineraryJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Jobs cut off by a restart would otherwise keep their trip locked forever
+itineraryJobSchema.statics.releaseStale = function(tripId, staleAfterMinutes) {
+  return this.updateMany(
+    {
+      tripId,
+      active: true,
+      updatedAt: { $lt: new Date(Date.now() - staleAfterMinutes * 60 * 1000) }
+    },
+    {
+      $set: {
+        status: 'failed',
+        active: false,
+        error: { message: 'Generation stopped responding', code: 'STALE_JOB' },
+        finishedAt: Date.now(),
+        updatedAt: Date.now()
+      }
+    }
+  );
+};
+
+const ItineraryJob = mongoose.model('ItineraryJob', itineraryJobSchema);
+
+module.exports = ItineraryJob;
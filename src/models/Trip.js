@@ -14,12 +14,34 @@ const stopSchema = new mongoose.Schema({
   hotelRequired: { type: Boolean, default: true }
 });
 
+// Co-travelers; the trip's userId is its owner
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  invitationId: { type: mongoose.Schema.Types.ObjectId, ref: 'TripInvitation' },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Each role can do everything the roles below it can
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
 const tripSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
     index: true
   },
+  members: [memberSchema],
   tripDetails: {
     startDate: {
       type: Date,
@@ -29,10 +51,18 @@ const tripSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    fromCoordinates: {
+      latitude: { type: Number },
+      longitude: { type: Number }
+    },
     toDestination: {
       type: String,
       required: true
     },
+    toCoordinates: {
+      latitude: { type: Number },
+      longitude: { type: Number }
+    },
     stops: [stopSchema],
     maxDrivingDistance: {
       type: Number,
@@ -44,6 +74,21 @@ const tripSchema = new mongoose.Schema({
       required: true,
       default: 300 // kilometers
     },
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    connectorPreferences: [String],
+    cruisingSpeed: {
+      type: Number,
+      min: 60,
+      max: 150 // km/h on motorways, used by the range model
+    },
+    chargingPreferences: {
+      startingCharge: { type: Number, min: 1, max: 100 }, // percent
+      arrivalReserve: { type: Number, min: 0, max: 50 }, // percent
+      chargeTarget: { type: Number, min: 50, max: 100 } // percent
+    },
     hotelRequired: {
       type: Boolean,
       default: true
@@ -55,11 +100,67 @@ const tripSchema = new mongoose.Schema({
     rooms: {
       type: Number,
       default: 1
-    }
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'EUR'
+    },
+    // Tolls, vignettes, ferries and other costs entered by the traveler
+    extras: [{
+      category: {
+        type: String,
+        enum: ['toll', 'vignette', 'ferry', 'parking', 'other'],
+        default: 'other'
+      },
+      description: String,
+      amount: { type: Number, min: 0, required: true },
+      currency: { type: String, uppercase: true },
+      day: Number, // unset for trip-wide costs
+      perTraveler: { type: Boolean, default: false }
+    }]
   },
   generatedRoute: {
     totalDistance: { type: Number },
-    totalDuration: { type: Number },
+    totalDuration: { type: Number }, // minutes of driving
+    legs: [{
+      day: Number,
+      from: String,
+      to: String,
+      fromCoordinates: {
+        latitude: Number,
+        longitude: Number
+      },
+      toCoordinates: {
+        latitude: Number,
+        longitude: Number
+      },
+      distance: Number,
+      duration: Number,
+      endsWith: {
+        type: String,
+        enum: ['charging', 'overnight', 'stop', 'destination']
+      },
+      departureSoc: Number,
+      arrivalSoc: Number,
+      belowReserve: Boolean,
+      // Range model inputs and result for the stretch this leg is on
+      rangeAssumptions: {
+        ratedRange: Number,
+        adjustedRange: Number,
+        factor: Number,
+        month: Number,
+        region: String,
+        temperature: Number, // °C
+        temperatureFactor: Number,
+        cruisingSpeed: Number, // km/h
+        speedFactor: Number,
+        elevationGain: Number, // m
+        elevationLoss: Number, // m
+        elevationFactor: Number,
+        elevationSource: String
+      }
+    }],
     waypoints: [{
       location: String,
       coordinates: {
@@ -67,30 +168,182 @@ const tripSchema = new mongoose.Schema({
         longitude: Number
       },
       distanceFromPrevious: Number,
-      chargingStationRequired: Boolean
+      chargingStationRequired: Boolean,
+      purpose: {
+        type: String,
+        enum: ['start', 'charging', 'overnight', 'stop', 'destination']
+      },
+      day: Number,
+      overnight: Boolean,
+      arrivalSoc: Number,
+      departureSoc: Number,
+      chargeTime: Number, // minutes
+      energyCharged: Number, // kWh
+      belowReserve: Boolean
     }],
     hotels: [{
       name: String,
       location: String,
       checkIn: Date,
       checkOut: Date,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      hotelId: String,
+      price: {
+        amount: Number, // whole stay, one room
+        currency: String,
+        perNight: Number
+      },
+      rooms: Number,
+      confidence: Number
     }],
     chargingStations: [{
+      stationId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChargingStation' },
       name: String,
+      operator: String,
+      country: String,
       location: String,
       coordinates: {
         latitude: Number,
         longitude: Number
       },
-      connectorTypes: [String]
-    }]
+      connectorTypes: [String],
+      maxPower: Number, // kW
+      waypointIndex: Number,
+      arrivalSoc: Number,
+      departureSoc: Number,
+      chargeTime: Number,
+      compatibility: {
+        status: {
+          type: String,
+          enum: ['compatible', 'adapter', 'incompatible', 'unknown']
+        },
+        connectors: [String],
+        adapterRequired: Boolean
+      },
+      verification: {
+        status: {
+          type: String,
+          enum: ['verified', 'replaced']
+        },
+        confidence: { type: Number, min: 0, max: 1 },
+        originalName: String,
+        originalLocation: String,
+        distance: Number, // km from the suggested location
+        reason: String
+      }
+    }],
+    stationVerification: {
+      verified: Number,
+      replaced: Number,
+      dropped: [{
+        name: String,
+        location: String,
+        reason: String
+      }],
+      averageConfidence: Number,
+      verifiedAt: Date
+    }
+  },
+  chargeSimulation: {
+    vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+    batteryCapacity: Number,
+    consumption: Number,
+    startingCharge: Number,
+    arrivalReserve: Number,
+    chargeTarget: Number,
+    minimumSoc: Number,
+    totalChargeTime: Number,
+    totalEnergyCharged: Number,
+    feasible: Boolean,
+    warnings: [{
+      waypointIndex: Number,
+      location: String,
+      arrivalSoc: Number,
+      arrivalReserve: Number
+    }],
+    simulatedAt: Date
+  },
+  costEstimate: {
+    charging: {
+      currency: String,
+      totalEnergy: Number, // kWh drawn from the grid
+      totalCost: Number,
+      stops: [{
+        waypointIndex: Number,
+        day: Number,
+        location: String,
+        stationId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChargingStation' },
+        operator: String,
+        powerClass: String,
+        energy: Number,
+        minutes: Number,
+        tariffId: String,
+        cost: Number
+      }],
+      calculatedAt: Date
+    }
+  },
+  itinerary: {
+    days: [{
+      day: { type: Number, required: true },
+      date: Date,
+      from: String,
+      to: String,
+      distance: Number, // km
+      driveTime: Number, // minutes, excluding charging
+      endsWith: String,
+      hotel: {
+        hotelIndex: Number, // position in generatedRoute.hotels
+        hotelId: String,
+        name: String,
+        location: String,
+        verified: Boolean
+      },
+      chargingStops: [{
+        waypointIndex: Number,
+        stationId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChargingStation' },
+        name: String,
+        location: String,
+        arrivalSoc: Number,
+        departureSoc: Number,
+        chargeTime: Number,
+        overnight: Boolean
+      }],
+      summary: String,
+      attractions: [{
+        name: { type: String, required: true },
+        location: String,
+        description: String
+      }],
+      notes: {
+        type: String,
+        maxlength: [2000, 'Day notes cannot exceed 2000 characters']
+      }
+    }],
+    generatedAt: Date
   },
   status: {
     type: String,
     enum: ['draft', 'planned', 'booked', 'completed', 'cancelled'],
     default: 'draft'
   },
+  // Every status change, oldest first
+  statusHistory: [{
+    from: String, // unset for the status a trip was created with
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: String,
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   aiGenerated: {
     type: Boolean,
     default: false
@@ -111,8 +364,44 @@ tripSchema.pre('save', function(next) {
   next();
 });
 
+// Query matching the trips a user holds at least the given role on
+tripSchema.statics.accessQuery = function(userId, role = 'viewer') {
+  if (role === 'owner') return { userId };
+
+  const memberRoles = Object.keys(ROLE_RANK)
+    .filter(memberRole => memberRole !== 'owner' && ROLE_RANK[memberRole] >= ROLE_RANK[role]);
+  return {
+    $or: [
+      { userId },
+      { members: { $elemMatch: { userId, role: { $in: memberRoles } } } }
+    ]
+  };
+};
+
+tripSchema.statics.findAccessible = function(id, userId, role = 'viewer') {
+  return this.findOne({ _id: id, ...this.accessQuery(userId, role) });
+};
+
+// owner, editor, viewer or null
+tripSchema.methods.roleOf = function(userId) {
+  if (this.userId === userId) return 'owner';
+  const member = (this.members || []).find(entry => entry.userId === userId);
+  return member ? member.role : null;
+};
+
+tripSchema.methods.hasRole = function(userId, role) {
+  const userRole = this.roleOf(userId);
+  return Boolean(userRole) && ROLE_RANK[userRole] >= ROLE_RANK[role];
+};
+
+// The owner's and every member's user ID, e.g. to find bookings made for the trip by its people
+tripSchema.methods.userIds = function() {
+  return [this.userId, ...(this.members || []).map(member => member.userId)];
+};
+
 // Index for faster queries
 tripSchema.index({ userId: 1, createdAt: -1 });
+tripSchema.index({ 'members.userId': 1 });
 tripSchema.index({ status: 1 });
 
 module.exports = mongoose.model('Trip', tripSchema);
\ No newline at end of file
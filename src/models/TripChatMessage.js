@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One message of a trip's refinement chat; assistant replies may carry proposed edits
+const tripChatMessageSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true // who wrote the message, or whose message an assistant reply answers
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  proposal: {
+    // { tripDetails, days } in the shape the trip update and day edit endpoints take
+    edits: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: ['pending', 'applied']
+    },
+    tripUpdatedAt: Date, // when the trip was last changed before the edits were proposed
+    appliedBy: String,
+    appliedAt: Date,
+    revision: Number // trip revision the edits were saved as
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tripChatMessageSchema.index({ tripId: 1, createdAt: -1 });
+
+const TripChatMessage = mongoose.model('TripChatMessage', tripChatMessageSchema);
+
+module.exports = TripChatMessage;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Invitation for someone to join a trip, addressed by email
+const tripInvitationSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true
+  },
+  invitedBy: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  respondedBy: String, // user who accepted or declined
+  respondedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tripInvitationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Query for invitations that can still be answered
+tripInvitationSchema.statics.openQuery = function(now = new Date()) {
+  return {
+    status: 'pending',
+    expiresAt: { $gt: now }
+  };
+};
+
+const TripInvitation = mongoose.model('TripInvitation', tripInvitationSchema);
+
+module.exports = TripInvitation;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Immutable copy of a trip's plan after one change
+const tripRevisionSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    immutable: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true // 1 for the first revision of a trip
+  },
+  userId: {
+    type: String,
+    required: true,
+    immutable: true // who made the change
+  },
+  reason: {
+    type: String,
+    // baseline is the state of a trip saved before revisions were kept, stored ahead of its first change
+    enum: ['created', 'baseline', 'manual_edit', 'ai_generation', 'charge_simulation', 'status_change', 'restore', 'day_regeneration', 'chat_edit'],
+    required: true,
+    immutable: true
+  },
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+tripRevisionSchema.index({ tripId: 1, revision: -1 }, { unique: true });
+
+// Revisions are history; nothing may rewrite them after the fact
+tripRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Trip revisions cannot be modified'));
+});
+
+const TripRevision = mongoose.model('TripRevision', tripRevisionSchema);
+
+module.exports = TripRevision;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Read-only public link to one trip, reachable through a secret token
+const tripShareLinkSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: Date, // unset for links that never expire
+  revokedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tripShareLinkSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Query for links that can still be opened
+tripShareLinkSchema.statics.activeQuery = function(now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+};
+
+const TripShareLink = mongoose.model('TripShareLink', tripShareLinkSchema);
+
+module.exports = TripShareLink;
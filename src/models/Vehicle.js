@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { CONNECTOR_TYPES } = require('../utils/connectorUtils');
+
+const vehicleSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  make: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  year: {
+    type: Number
+  },
+  batteryCapacity: {
+    type: Number,
+    required: true,
+    min: 10,
+    max: 250 // kWh
+  },
+  consumption: {
+    type: Number,
+    required: true,
+    min: 5,
+    max: 60 // kWh per 100 km
+  },
+  usableRange: {
+    type: Number,
+    required: true,
+    min: 50,
+    max: 800 // kilometers, the same bounds as a trip's evRange
+  },
+  connectorTypes: [{
+    type: String,
+    enum: CONNECTOR_TYPES
+  }],
+  maxDcChargePower: {
+    type: Number,
+    min: 0,
+    max: 1000 // kW
+  },
+  weight: {
+    type: Number,
+    min: 500,
+    max: 5000 // kg, used to estimate the energy needed for climbs
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+vehicleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Only one default vehicle per user
+vehicleSchema.statics.clearDefault = function(userId, exceptId) {
+  return this.updateMany(
+    { userId, _id: { $ne: exceptId }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+vehicleSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
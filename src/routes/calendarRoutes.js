@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { authenticate } = require('../middleware/auth');
+const { validateFeedToken } = require('../middleware/calendarValidation');
+
+// GET /api/calendar/feeds/:token.ics - Subscribed calendar, authorized by its secret token
+router.get('/feeds/:token.ics',
+  validateFeedToken,
+  calendarController.getFeedCalendar
+);
+
+// Managing the feed requires authentication
+router.use(authenticate);
+
+// GET /api/calendar/feed - Whether the user has an active feed
+router.get('/feed',
+  calendarController.getFeed
+);
+
+// POST /api/calendar/feed - Create the feed or rotate its secret link
+router.post('/feed',
+  calendarController.createFeed
+);
+
+// DELETE /api/calendar/feed - Revoke the feed
+router.delete('/feed',
+  calendarController.revokeFeed
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const chargingStationController = require('../controllers/chargingStationController');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateNearbyStations,
+  validateAlongRouteStations
+} = require('../middleware/chargingStationValidation');
+
+// All charging station routes require authentication
+router.use(authenticate);
+
+// GET /api/charging-stations/nearby?lat=&lng=&radius= - Stations around a point
+router.get('/nearby',
+  validateNearbyStations,
+  chargingStationController.getNearbyStations
+);
+
+// GET /api/charging-stations/along-route?tripId= - Stations along a saved trip
+router.get('/along-route',
+  validateAlongRouteStations,
+  chargingStationController.getStationsAlongRoute
+);
+
+// POST /api/charging-stations/along-route - Stations along an explicit list of points
+router.post('/along-route',
+  validateAlongRouteStations,
+  chargingStationController.getStationsAlongRoute
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const tripMemberController = require('../controllers/tripMemberController');
+const { authenticate } = require('../middleware/auth');
+const { validateRespondToInvitation } = require('../middleware/memberValidation');
+
+// All invitation routes require authentication
+router.use(authenticate);
+
+// GET /api/invitations - Open trip invitations for the signed-in user's email
+router.get('/',
+  tripMemberController.getMyInvitations
+);
+
+// POST /api/invitations/:invitationId/accept - Join the trip
+router.post('/:invitationId/accept',
+  validateRespondToInvitation,
+  tripMemberController.acceptInvitation
+);
+
+// POST /api/invitations/:invitationId/decline - Turn the invitation down
+router.post('/:invitationId/decline',
+  validateRespondToInvitation,
+  tripMemberController.declineInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/shareController');
+const { validateShareToken } = require('../middleware/shareValidation');
+
+// GET /api/shared/trips/:token - Read-only view of a shared trip, no authentication
+router.get('/trips/:token',
+  validateShareToken,
+  shareController.getSharedTrip
+);
+
+module.exports = router;
@@ -1,20 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const tripController = require('../controllers/tripController');
+const shareController = require('../controllers/shareController');
+const tripMemberController = require('../controllers/tripMemberController');
+const tripRevisionController = require('../controllers/tripRevisionController');
+const tripChatController = require('../controllers/tripChatController');
 const { authenticate } = require('../middleware/auth');
 const {
   validateCreateTrip,
+  validateParseTrip,
   validateUpdateTrip,
   validateGetTripById,
   validateDeleteTrip,
   validateUpdateTripStatus,
+  validateSimulateCharge,
+  validateGetTripDay,
+  validateUpdateTripDay,
+  validateRegenerateTripDay,
+  validateExportTrip,
+  validateTripDocument,
+  validateGenerateItinerary,
+  validateGetItineraryJob,
   validateGetUserTrips
 } = require('../middleware/tripValidation');
+const {
+  validateCreateShareLink,
+  validateListShareLinks,
+  validateRevokeShareLink
+} = require('../middleware/shareValidation');
+const {
+  validateListMembers,
+  validateInviteMember,
+  validateUpdateMember,
+  validateRemoveMember,
+  validateRevokeInvitation
+} = require('../middleware/memberValidation');
+const {
+  validateListRevisions,
+  validateRevision,
+  validateDiffRevisions
+} = require('../middleware/revisionValidation');
+const {
+  validateChatHistory,
+  validateSendChatMessage,
+  validateApplyChatProposal
+} = require('../middleware/chatValidation');
 
 // All trip routes require authentication
 router.use(authenticate);
 
-// GET /api/trips - Get all trips for authenticated user
+// GET /api/trips?role=owner|member - Trips the user owns or was invited to
 router.get('/',
   validateGetUserTrips,
   tripController.getUserTrips
@@ -26,12 +61,144 @@ router.post('/',
   tripController.createTrip
 );
 
+// POST /api/trips/parse - Draft trip details from free text, listing what needs confirming
+router.post('/parse',
+  validateParseTrip,
+  tripController.parseTrip
+);
+
 // GET /api/trips/:id - Get specific trip by ID
 router.get('/:id',
   validateGetTripById,
   tripController.getTripById
 );
 
+// GET /api/trips/:id/costs - Full cost breakdown by day, category and traveler
+router.get('/:id/costs',
+  validateGetTripById,
+  tripController.getTripCosts
+);
+
+// GET /api/trips/:id/days/:day - Get one day of the itinerary
+router.get('/:id/days/:day',
+  validateGetTripDay,
+  tripController.getTripDay
+);
+
+// PATCH /api/trips/:id/days/:day - Edit notes, summary or attractions of one day
+router.patch('/:id/days/:day',
+  validateUpdateTripDay,
+  tripController.updateTripDay
+);
+
+// POST /api/trips/:id/days/:day/regenerate - Replan one day with the AI, optionally from hints
+router.post('/:id/days/:day/regenerate',
+  validateRegenerateTripDay,
+  tripController.regenerateTripDay
+);
+
+// GET /api/trips/:id/export?format=gpx|kml|ics - Download the route for navigation or calendar apps
+router.get('/:id/export',
+  validateExportTrip,
+  tripController.exportTrip
+);
+
+// GET /api/trips/:id/document?format=html|pdf - Printable trip sheet
+router.get('/:id/document',
+  validateTripDocument,
+  tripController.getTripDocument
+);
+
+// GET /api/trips/:id/share-links - Share links of a trip with their view counts
+router.get('/:id/share-links',
+  validateListShareLinks,
+  shareController.listShareLinks
+);
+
+// POST /api/trips/:id/share-links - Create a read-only public link, optionally expiring
+router.post('/:id/share-links',
+  validateCreateShareLink,
+  shareController.createShareLink
+);
+
+// DELETE /api/trips/:id/share-links/:linkId - Revoke a share link
+router.delete('/:id/share-links/:linkId',
+  validateRevokeShareLink,
+  shareController.revokeShareLink
+);
+
+// GET /api/trips/:id/members - Owner, co-travelers and (for the owner) open invitations
+router.get('/:id/members',
+  validateListMembers,
+  tripMemberController.listMembers
+);
+
+// POST /api/trips/:id/invitations - Invite someone by email as editor or viewer
+router.post('/:id/invitations',
+  validateInviteMember,
+  tripMemberController.inviteMember
+);
+
+// DELETE /api/trips/:id/invitations/:invitationId - Withdraw an unanswered invitation
+router.delete('/:id/invitations/:invitationId',
+  validateRevokeInvitation,
+  tripMemberController.revokeInvitation
+);
+
+// PATCH /api/trips/:id/members/:memberId - Change a co-traveler's role
+router.patch('/:id/members/:memberId',
+  validateUpdateMember,
+  tripMemberController.updateMemberRole
+);
+
+// DELETE /api/trips/:id/members/:memberId - Remove a co-traveler, or leave the trip
+router.delete('/:id/members/:memberId',
+  validateRemoveMember,
+  tripMemberController.removeMember
+);
+
+// GET /api/trips/:id/revisions - Change history of the trip, newest first
+router.get('/:id/revisions',
+  validateListRevisions,
+  tripRevisionController.listRevisions
+);
+
+// GET /api/trips/:id/revisions/diff?from=&to= - Changes between two revisions
+router.get('/:id/revisions/diff',
+  validateDiffRevisions,
+  tripRevisionController.diffRevisions
+);
+
+// GET /api/trips/:id/revisions/:revision - One revision with its snapshot
+router.get('/:id/revisions/:revision',
+  validateRevision,
+  tripRevisionController.getRevision
+);
+
+// POST /api/trips/:id/revisions/:revision/restore - Put the plan back to an older revision
+router.post('/:id/revisions/:revision/restore',
+  validateRevision,
+  tripRevisionController.restoreRevision
+);
+
+// GET /api/trips/:id/chat - Refinement chat of the trip, oldest message first
+router.get('/:id/chat',
+  validateChatHistory,
+  tripChatController.getChatHistory
+);
+
+// POST /api/trips/:id/chat - Ask for changes; the reply proposes edits with a preview of the diff
+router.post('/:id/chat',
+  validateSendChatMessage,
+  tripChatController.sendChatMessage
+);
+
+// POST /api/trips/:id/chat/:messageId/apply - Apply the edits proposed in a reply
+router.post('/:id/chat/:messageId/apply',
+  validateApplyChatProposal,
+  tripChatController.applyChatProposal
+);
+
 // PUT /api/trips/:id - Update specific trip
 router.put('/:id',
   validateUpdateTrip,
@@ -51,10 +218,30 @@ router.patch('/:id/status',
 );
 
 // New AI and hotel routes
+// POST /api/trips/:id/generate-itinerary - Start generation, answers 202 with a job to poll
 router.post('/:id/generate-itinerary',
+  validateGenerateItinerary,
   tripController.generateItinerary
 );
 
+// POST /api/trips/:id/generate-itinerary/stream - Generate while streaming days and hotels as Server-Sent Events
+router.post('/:id/generate-itinerary/stream',
+  validateGenerateItinerary,
+  tripController.streamItinerary
+);
+
+// GET /api/trips/:id/jobs/:jobId - Progress, result or error of a generation job
+router.get('/:id/jobs/:jobId',
+  validateGetItineraryJob,
+  tripController.getItineraryJob
+);
+
+// POST /api/trips/:id/simulate-charge - Predict battery charge along the generated route
+router.post('/:id/simulate-charge',
+  validateSimulateCharge,
+  tripController.simulateCharge
+);
+
 router.get('/:tripId/hotels/:hotelId',
   tripController.getHotelDetails
 );
@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
 const userController = require('../controllers/userController');
+const vehicleController = require('../controllers/vehicleController');
 const upload = require('../middleware/upload');
+const {
+  validateCreateVehicle,
+  validateUpdateVehicle,
+  validateVehicleId
+} = require('../middleware/vehicleValidation');
 
 // Public routes
 router.post('/signup', userController.signup);
@@ -18,4 +24,11 @@ router.post('/bookingDetails', userController.getBookingDetails);
 router.post('/profile/:userId', upload.single('profileImage'), userController.updateProfileByUserId);
 // router.put('/contact-info', userController.updateContactInfo);
 
+// Vehicle profiles
+router.get('/vehicles', vehicleController.getVehicles);
+router.post('/vehicles', validateCreateVehicle, vehicleController.createVehicle);
+router.get('/vehicles/:vehicleId', validateVehicleId, vehicleController.getVehicleById);
+router.put('/vehicles/:vehicleId', validateUpdateVehicle, vehicleController.updateVehicle);
+router.delete('/vehicles/:vehicleId', validateVehicleId, vehicleController.deleteVehicle);
+
 module.exports = router;
@@ -31,6 +31,10 @@ const tripRoutes = require('./routes/tripRoutes');
 const hotelRoutes = require('./routes/hotelRoutes'); 
 const authRoutes = require('./routes/authRoutes'); 
 const paymentRoutes = require('./routes/paymentRoutes'); 
+const chargingStationRoutes = require('./routes/chargingStationRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const sharedRoutes = require('./routes/sharedRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
 
 // API Routes
 app.use('/api/users', userRoutes);
@@ -38,6 +42,10 @@ app.use('/api/trips', tripRoutes);
 app.use('/api/hotel', hotelRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/charging-stations', chargingStationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,97 @@
+// src/services/ai/itinerarySchema.js
+const { compileSchema, text, date } = require('./schemaValidation');
+
+// Shape of the itinerary the model must return. Written to fit OpenAI strict structured outputs:
+// every property is required and optional values are nullable instead of left out.
+const itinerarySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['totalDistance', 'totalDuration', 'dayByDay', 'waypoints'],
+  properties: {
+    totalDistance: { type: 'number', exclusiveMinimum: 0 },
+    totalDuration: { type: 'number', minimum: 0 },
+    dayByDay: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['day', 'date', 'from', 'to', 'distance', 'summary', 'attractions', 'hotels', 'chargingStations'],
+        properties: {
+          day: { type: 'integer', minimum: 1 },
+          date,
+          from: text,
+          to: text,
+          distance: { type: 'number', exclusiveMinimum: 0 },
+          summary: text,
+          attractions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'location', 'description'],
+              properties: {
+                name: text,
+                location: text,
+                description: { type: 'string' }
+              }
+            }
+          },
+          hotels: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'city', 'reason'],
+              properties: {
+                name: text,
+                city: text,
+                reason: { type: 'string' }
+              }
+            }
+          },
+          chargingStations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'location', 'latitude', 'longitude', 'connectorTypes'],
+              properties: {
+                name: text,
+                location: text,
+                latitude: { type: ['number', 'null'], minimum: -90, maximum: 90 },
+                longitude: { type: ['number', 'null'], minimum: -180, maximum: 180 },
+                connectorTypes: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    },
+    waypoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['location', 'purpose'],
+        properties: {
+          location: text,
+          purpose: { type: 'string', enum: ['charging', 'hotel', 'attraction'] }
+        }
+      }
+    }
+  }
+};
+
+// One dayByDay entry, which is also what regenerating a single day returns
+const daySchema = itinerarySchema.properties.dayByDay.items;
+
+const schemaErrors = compileSchema(itinerarySchema);
+const daySchemaErrors = compileSchema(daySchema);
+
+module.exports = {
+  itinerarySchema,
+  daySchema,
+  schemaErrors,
+  daySchemaErrors
+};
@@ -0,0 +1,13 @@
+// src/services/ai/localProvider.js
+const { OpenAIProvider } = require('./openaiProvider');
+
+// A self-hosted model behind an OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server)
+module.exports = new OpenAIProvider({
+  name: 'local',
+  baseURL: process.env.AI_LOCAL_URL || 'http://localhost:11434/v1',
+  // Local servers usually ignore the key, but the SDK refuses to start without one
+  apiKey: process.env.AI_LOCAL_API_KEY || 'local',
+  defaultModel: process.env.AI_LOCAL_MODEL || 'llama3.1',
+  // Most local servers accept JSON mode but not a schema
+  structuredOutput: 'json_object'
+});
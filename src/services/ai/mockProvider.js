@@ -0,0 +1,397 @@
+// src/services/ai/mockProvider.js
+const { DAY_MS, tripDayDate } = require('../../utils/dateUtils');
+const { ROAD_DISTANCE_FACTOR, hasCoordinates, haversineDistance } = require('../../utils/geoUtils');
+const { detailChangesSchema } = require('./refinementSchema');
+const { PARSED_FIELDS } = require('./tripParseSchema');
+
+const HOTEL_NAMES = ['Central Hotel', 'Park Inn', 'Station Hotel', 'Grand Hotel', 'City Lodge'];
+
+const ATTRACTIONS = [
+  { name: 'Old Town', description: 'Historic centre that is easy to explore on foot' },
+  { name: 'Market Hall', description: 'Local food and a good place for lunch' },
+  { name: 'Riverside Walk', description: 'Short walk to stretch your legs after the drive' },
+  { name: 'Viewpoint', description: 'Views over the surrounding countryside' },
+  { name: 'Museum of History', description: 'Covers the history of the region in an hour or two' }
+];
+
+// Names the route planner gives points it placed on the road itself
+const GENERATED_STOP = /^(?:Overnight|Charging) stop \d+ en route to (.+)$/;
+
+// Capitalized words, as place names in a trip description usually are
+const PLACE_NAME = "([A-Z][\\w'-]*(?:[ -][A-Z][\\w'-]*)*)";
+
+// Small numbers travelers tend to write out
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Common electric cars, so a description can name the vehicle
+const VEHICLE = /\b((?:Tesla )?Model [3SXY]|(?:VW |Volkswagen )?ID\.\s?\d|(?:Hyundai )?Ioniq \d|(?:Kia )?EV\d|(?:Porsche )?Taycan|(?:Nissan )?Leaf|(?:Renault )?Zoe|Polestar \d)\b/i;
+
+// Place names in chat messages end at punctuation or the end of the message
+const PLACE = '([^,.!?;]+?)';
+
+// Chat requests the mock understands, tried in order; each returns { reply, tripDetails, days }
+const CHAT_INTENTS = [
+  {
+    pattern: /\bnote for day (\d+):\s*(.+)$/is,
+    answer: (provider, [, day, notes]) => ({
+      reply: `Added the note to day ${day}.`,
+      days: [{ day: parseInt(day), summary: null, notes: notes.trim(), attractions: null }]
+    })
+  },
+  {
+    pattern: new RegExp(`\\badd (?:a )?stop (?:in|at) ${PLACE}\\s*(?:[,.!?;]|$)`, 'i'),
+    answer: (provider, [, location], { tripDetails }) => ({
+      reply: `Added a stop in ${location.trim()}. Generate the itinerary again after applying this to route through it.`,
+      tripDetails: provider.detailChanges({
+        stops: [...provider.currentStops(tripDetails), { location: location.trim(), arrivalDate: null, departureDate: null }]
+      })
+    })
+  },
+  {
+    pattern: new RegExp(`\\b(?:remove|drop|skip) (?:the )?stop (?:in|at) ${PLACE}\\s*(?:[,.!?;]|$)`, 'i'),
+    answer: (provider, [, location], { tripDetails }) => {
+      const stops = provider.currentStops(tripDetails);
+      const kept = stops.filter(stop => provider.townName(stop.location).toLowerCase() !== location.trim().toLowerCase());
+      if (kept.length === stops.length) {
+        return { reply: `The trip has no stop in ${location.trim()}.` };
+      }
+      return {
+        reply: `Removed the stop in ${location.trim()}.`,
+        tripDetails: provider.detailChanges({ stops: kept })
+      };
+    }
+  },
+  {
+    pattern: /\b(?:day (\d+) )?(?:shorter|less driving)\b/i,
+    answer: (provider, [, day], { tripDetails }) => {
+      const current = tripDetails.maxDrivingDistance || 500;
+      const shorter = Math.max(100, Math.round(current * 0.8 / 10) * 10);
+      if (shorter === current) {
+        return { reply: `Days are already as short as they can be at ${current} km.` };
+      }
+      return {
+        reply: `Lowered the daily driving limit from ${current} to ${shorter} km` +
+          `${day ? ` so day ${day} gets shorter` : ''}; the trip may take an extra day.`,
+        tripDetails: provider.detailChanges({ maxDrivingDistance: shorter })
+      };
+    }
+  },
+  {
+    pattern: /\b(\d+) (?:travell?ers|people|persons|adults)\b/i,
+    answer: (provider, [, count]) => {
+      const travelers = parseInt(count);
+      const rooms = Math.min(5, Math.ceil(travelers / 2));
+      return {
+        reply: `Changed the trip to ${travelers} travelers in ${rooms} room${rooms === 1 ? '' : 's'}.`,
+        tripDetails: provider.detailChanges({ travelers, rooms })
+      };
+    }
+  },
+  {
+    pattern: /\b(?:no|without(?: a| any)?) hotels?\b/i,
+    answer: provider => ({
+      reply: 'Hotels are no longer booked for this trip.',
+      tripDetails: provider.detailChanges({ hotelRequired: false })
+    })
+  },
+  {
+    pattern: /\b(?:need|want|with|add) (?:a |some )?hotels?\b/i,
+    answer: provider => ({
+      reply: 'Hotels will be found for every night of the trip.',
+      tripDetails: provider.detailChanges({ hotelRequired: true })
+    })
+  },
+  {
+    pattern: /\bstart (?:on )?(\d{4}-\d{2}-\d{2})\b/i,
+    answer: (provider, [, startDate]) => ({
+      reply: `Moved the start of the trip to ${startDate}.`,
+      tripDetails: provider.detailChanges({ startDate })
+    })
+  }
+];
+
+// Answers from the trip inputs alone, so generation works offline and the same trip always
+// gets the same response
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock';
+    // Size of the pieces a streamed response is cut into
+    this.chunkSize = 40;
+    // What the mock can answer, by the task named in the request context
+    this.builders = {
+      itinerary: context => this.buildItinerary(context),
+      day: context => this.buildRegeneratedDay(context),
+      chat: context => this.buildRefinement(context),
+      parse: context => this.buildParsedTrip(context)
+    };
+  }
+
+  async complete(request) {
+    return this.respond(request);
+  }
+
+  async *stream(request, { signal } = {}) {
+    const response = this.respond(request);
+    for (let i = 0; i < response.length; i += this.chunkSize) {
+      if (signal?.aborted) {
+        throw new Error('Request aborted');
+      }
+      yield response.slice(i, i + this.chunkSize);
+    }
+  }
+
+  respond({ context = {} }) {
+    const builder = this.builders[context.task];
+    if (!builder) {
+      throw new Error(`The mock AI provider cannot answer ${context.task ? `a ${context.task} request` : 'a request without a task'}`);
+    }
+    return JSON.stringify(builder(context), null, 2);
+  }
+
+  // One day per driving day of the route plan, or a single day straight to the destination
+  buildItinerary({ tripDetails, routePlan }) {
+    const days = routePlan?.legs?.length
+      ? this.groupLegsByDay(routePlan.legs)
+      : [{
+        day: 1,
+        from: tripDetails.fromLocation,
+        to: tripDetails.toDestination,
+        distance: this.roadDistance(tripDetails.fromCoordinates, tripDetails.toCoordinates)
+      }];
+    const chargingStops = routePlan?.chargingStops || [];
+
+    return {
+      totalDistance: routePlan?.totalDistance || days[0].distance,
+      totalDuration: routePlan?.totalDuration || 0,
+      dayByDay: days.map(day => this.buildDay(tripDetails, {
+        ...day,
+        date: this.formatDate(tripDayDate(tripDetails.startDate, day.day)),
+        chargingStops: chargingStops.filter(stop => stop.day === day.day)
+      })),
+      waypoints: (routePlan?.waypoints || []).map(waypoint => ({
+        location: waypoint.location,
+        purpose: waypoint.chargingStationRequired ? 'charging' : waypoint.purpose === 'overnight' ? 'hotel' : 'attraction'
+      }))
+    };
+  }
+
+  // A different plan for the same day, steered by the traveler's hints
+  buildRegeneratedDay({ tripDetails, frame, hints = [] }) {
+    return this.buildDay(tripDetails, {
+      day: frame.day,
+      date: frame.date,
+      from: frame.from,
+      to: frame.to,
+      distance: frame.distance,
+      chargingStops: frame.chargingStops,
+      hints,
+      current: frame.current
+    });
+  }
+
+  // Edits for the first chat request the mock recognizes, or a reply listing what it can do
+  buildRefinement({ tripState, message }) {
+    for (const intent of CHAT_INTENTS) {
+      const match = message.match(intent.pattern);
+      if (match) {
+        return { tripDetails: null, days: [], ...intent.answer(this, match, tripState) };
+      }
+    }
+
+    return {
+      reply: 'I can add or remove a stop, make the days shorter, change the number of travelers, ' +
+        'turn hotels on or off, move the start date or add a note to a day.',
+      tripDetails: null,
+      days: []
+    };
+  }
+
+  // Trip details found by pattern in a description such as
+  // "Berlin to Vienna next Friday with 2 kids, Model 3, stop in Prague, need 2 rooms"
+  buildParsedTrip({ description, today }) {
+    const tripDetails = Object.fromEntries(PARSED_FIELDS.map(field => [field, null]));
+    const uncertain = [];
+
+    const route = description.match(new RegExp(`(?:[Ff]rom )?${PLACE_NAME} to ${PLACE_NAME}`));
+    if (route) {
+      tripDetails.fromLocation = route[1];
+      tripDetails.toDestination = route[2];
+    }
+
+    tripDetails.stops = [...description.matchAll(new RegExp(`\\b(?:stop(?:ping)? (?:in|at)|via|through) ${PLACE_NAME}`, 'g'))]
+      .map(match => ({ location: match[1] }));
+
+    tripDetails.startDate = this.parseStartDate(description, today, uncertain);
+
+    const adults = this.countOf(description, 'adults?|people|persons|travell?ers');
+    const children = this.countOf(description, 'kids?|children|child');
+    if (adults || children) {
+      tripDetails.travelers = (adults || 0) + (children || 0);
+      if (!adults) {
+        tripDetails.travelers += 2;
+        uncertain.push({ field: 'travelers', reason: 'Assumed two adults travel with the children' });
+      }
+    }
+
+    tripDetails.rooms = this.countOf(description, 'rooms?');
+    if (/\b(?:no|without(?: a| any)?) hotels?\b/i.test(description)) {
+      tripDetails.hotelRequired = false;
+    } else if (tripDetails.rooms || /\bhotels?\b/i.test(description)) {
+      tripDetails.hotelRequired = true;
+    }
+
+    const vehicle = description.match(VEHICLE);
+    if (vehicle) {
+      tripDetails.vehicle = vehicle[1];
+    }
+
+    return { tripDetails, uncertain };
+  }
+
+  // YYYY-MM-DD of an ISO date, today, tomorrow, a weekday or "in N days/weeks", counted from today
+  parseStartDate(description, today, uncertain) {
+    const start = new Date(`${today}T00:00:00Z`);
+    const daysAhead = (days) => this.formatDate(new Date(start.getTime() + days * DAY_MS));
+
+    const isoDate = description.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (isoDate) return isoDate[1];
+    if (/\btoday\b/i.test(description)) return today;
+    if (/\btomorrow\b/i.test(description)) return daysAhead(1);
+
+    const weekday = description.match(new RegExp(`\\b(next|this|on) (${WEEKDAYS.join('|')})\\b`, 'i'));
+    if (weekday) {
+      const target = WEEKDAYS.indexOf(weekday[2].toLowerCase());
+      const date = daysAhead((target - start.getUTCDay() + 6) % 7 + 1);
+      if (weekday[1].toLowerCase() === 'next') {
+        uncertain.push({ field: 'startDate', reason: `"${weekday[0]}" may mean ${date} or the week after` });
+      }
+      return date;
+    }
+
+    const offset = description.match(new RegExp(`\\bin ${COUNT} (days?|weeks?)\\b`, 'i'));
+    if (offset) {
+      const count = this.numberOf(offset[1]);
+      return daysAhead(/week/i.test(offset[2]) ? count * 7 : count);
+    }
+
+    return null;
+  }
+
+  // Number written before one of the given words, e.g. "2 kids" or "two kids"; null when absent
+  countOf(description, words) {
+    const match = description.match(new RegExp(`\\b${COUNT} (?:${words})\\b`, 'i'));
+    return match ? this.numberOf(match[1]) : null;
+  }
+
+  numberOf(value) {
+    return NUMBER_WORDS[value.toLowerCase()] || parseInt(value);
+  }
+
+  // Trip detail changes with every other field left as it is
+  detailChanges(changes) {
+    const tripDetails = {};
+    detailChangesSchema.required.forEach(field => {
+      tripDetails[field] = changes[field] === undefined ? null : changes[field];
+    });
+    return tripDetails;
+  }
+
+  currentStops(tripDetails) {
+    return (tripDetails.stops || []).map(stop => ({
+      location: stop.location,
+      arrivalDate: stop.arrivalDate || null,
+      departureDate: stop.departureDate || null
+    }));
+  }
+
+  buildDay(tripDetails, { day, date, from, to, distance, chargingStops = [], hints = [], current }) {
+    const town = this.townName(to);
+    const hotelNames = town ? HOTEL_NAMES.map(name => `${name} ${town}`) : ['Roadside Inn', 'Motorway Lodge'];
+    const attraction = town && this.attraction(town, current?.attractions);
+
+    return {
+      day,
+      date,
+      from,
+      to,
+      distance: Math.max(1, Math.round(distance)),
+      summary: `Drive ${Math.round(distance)} km from ${this.placeLabel(from)} to ${this.placeLabel(to)}.` +
+        (hints.length > 0 ? ` Planned around: ${hints.join('; ')}.` : ''),
+      attractions: attraction ? [attraction] : [],
+      hotels: tripDetails.hotelRequired ? [{
+        name: this.pick(hotelNames, `${to}${hints.join('')}`, name => name === current?.hotel),
+        city: town || to,
+        reason: hints.length > 0
+          ? `Chosen for: ${hints.join('; ')}`
+          : 'Close to the route with parking and overnight charging'
+      }] : [],
+      chargingStations: chargingStops.map(stop => ({
+        name: `${this.townName(stop.location) || 'Motorway'} Fast Charging`,
+        location: stop.location,
+        latitude: stop.coordinates.latitude,
+        longitude: stop.coordinates.longitude,
+        connectorTypes: tripDetails.connectorPreferences?.length
+          ? [...tripDetails.connectorPreferences]
+          : ['CCS', 'Type2']
+      }))
+    };
+  }
+
+  // Route legs merged into { day, from, to, distance } per driving day
+  groupLegsByDay(legs) {
+    const days = [];
+    legs.forEach(leg => {
+      const current = days[days.length - 1];
+      if (current && current.day === leg.day) {
+        current.to = leg.to;
+        current.distance += leg.distance;
+      } else {
+        days.push({ day: leg.day, from: leg.from, to: leg.to, distance: leg.distance });
+      }
+    });
+    return days;
+  }
+
+  // Rough driving distance when there is no route plan to take it from
+  roadDistance(from, to) {
+    if (!hasCoordinates(from) || !hasCoordinates(to)) return 1;
+    return Math.max(1, Math.round(haversineDistance(from, to) * ROAD_DISTANCE_FACTOR));
+  }
+
+  attraction(town, taken = []) {
+    const attraction = this.pick(ATTRACTIONS, town, entry => taken.includes(`${town} ${entry.name}`));
+    return {
+      name: `${town} ${attraction.name}`,
+      location: town,
+      description: attraction.description
+    };
+  }
+
+  // "Lyon, France" -> "Lyon"; null for points the planner placed on the road
+  townName(location = '') {
+    if (GENERATED_STOP.test(location)) return null;
+    return location.split(',')[0].trim();
+  }
+
+  placeLabel(location = '') {
+    const generated = location.match(GENERATED_STOP);
+    return generated ? `a stop on the way to ${this.townName(generated[1])}` : this.townName(location);
+  }
+
+  // Same entry for the same key every time, skipping taken entries while others are left
+  pick(list, key, isTaken = () => false) {
+    const hash = [...key].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    const entries = list.map((entry, index) => list[(hash + index) % list.length]);
+    return entries.find(entry => !isTaken(entry)) || entries[0];
+  }
+
+  formatDate(date) {
+    return date ? date.toISOString().split('T')[0] : undefined;
+  }
+}
+
+module.exports = new MockProvider();
@@ -0,0 +1,74 @@
+// src/services/ai/openaiProvider.js
+const { OpenAI } = require('openai');
+
+// Chat completions through the OpenAI SDK; also used for any endpoint that speaks the same API
+class OpenAIProvider {
+  // Strict JSON schema output needs gpt-4o-mini or newer
+  constructor({ name = 'openai', apiKey, baseURL, defaultModel = 'gpt-4o-mini', structuredOutput = 'json_schema' } = {}) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.defaultModel = defaultModel;
+    this.structuredOutput = structuredOutput;
+    this.client = null;
+  }
+
+  // Created on first use, so other providers work without an API key configured
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL && { baseURL: this.baseURL })
+      });
+    }
+    return this.client;
+  }
+
+  async complete(request, { signal } = {}) {
+    const completion = await this.getClient().chat.completions.create(
+      this.buildParams(request),
+      { signal }
+    );
+
+    return completion.choices[0].message.content;
+  }
+
+  // Yields the response text chunk by chunk
+  async *stream(request, { signal } = {}) {
+    const stream = await this.getClient().chat.completions.create(
+      { ...this.buildParams(request), stream: true },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  buildParams({ messages, model, temperature, maxTokens, responseFormat }) {
+    const format = responseFormat && this.buildResponseFormat(responseFormat);
+    return {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(format && { response_format: format })
+    };
+  }
+
+  // json_schema has the API enforce the schema, json_object only guarantees parseable JSON and
+  // text asks for nothing, for servers that support neither
+  buildResponseFormat({ name, schema, mode = this.structuredOutput }) {
+    if (mode === 'json_schema') {
+      return { type: 'json_schema', json_schema: { name, schema, strict: true } };
+    }
+    if (mode === 'json_object') {
+      return { type: 'json_object' };
+    }
+    return null;
+  }
+}
+
+module.exports = new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+module.exports.OpenAIProvider = OpenAIProvider;
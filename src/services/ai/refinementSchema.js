@@ -0,0 +1,94 @@
+// src/services/ai/refinementSchema.js
+const { compileSchema, text, date, nullable } = require('./schemaValidation');
+
+// Trip details the chat may change; null leaves a field as it is
+const detailChangesSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'startDate', 'fromLocation', 'toDestination', 'stops', 'maxDrivingDistance', 'evRange',
+    'cruisingSpeed', 'travelers', 'rooms', 'hotelRequired', 'connectorPreferences', 'chargingPreferences'
+  ],
+  properties: {
+    startDate: nullable(date),
+    fromLocation: nullable(text),
+    toDestination: nullable(text),
+    // The complete new list of stops, in route order
+    stops: nullable({
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['location', 'arrivalDate', 'departureDate'],
+        properties: {
+          location: text,
+          arrivalDate: nullable(date),
+          departureDate: nullable(date)
+        }
+      }
+    }),
+    maxDrivingDistance: nullable({ type: 'integer' }),
+    evRange: nullable({ type: 'integer' }),
+    cruisingSpeed: nullable({ type: 'integer' }),
+    travelers: nullable({ type: 'integer' }),
+    rooms: nullable({ type: 'integer' }),
+    hotelRequired: nullable({ type: 'boolean' }),
+    connectorPreferences: nullable({ type: 'array', items: { type: 'string' } }),
+    chargingPreferences: nullable({
+      type: 'object',
+      additionalProperties: false,
+      required: ['startingCharge', 'arrivalReserve', 'chargeTarget'],
+      properties: {
+        startingCharge: nullable({ type: 'number' }),
+        arrivalReserve: nullable({ type: 'number' }),
+        chargeTarget: nullable({ type: 'number' })
+      }
+    })
+  }
+};
+
+// Reply to a chat message about a trip, with the edits it proposes
+const refinementSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['reply', 'tripDetails', 'days'],
+  properties: {
+    reply: text,
+    tripDetails: nullable(detailChangesSchema),
+    // Text edits to itinerary days; null leaves a field as it is
+    days: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['day', 'summary', 'notes', 'attractions'],
+        properties: {
+          day: { type: 'integer', minimum: 1 },
+          summary: nullable({ type: 'string' }),
+          notes: nullable({ type: 'string' }),
+          attractions: nullable({
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'location', 'description'],
+              properties: {
+                name: text,
+                location: { type: 'string' },
+                description: { type: 'string' }
+              }
+            }
+          })
+        }
+      }
+    }
+  }
+};
+
+const refinementSchemaErrors = compileSchema(refinementSchema);
+
+module.exports = {
+  detailChangesSchema,
+  refinementSchema,
+  refinementSchemaErrors
+};
@@ -0,0 +1,34 @@
+// src/services/ai/schemaValidation.js
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true });
+
+// Validator for a JSON schema that returns violations as [{ path, message }], empty when the value matches
+const compileSchema = (schema) => {
+  const validate = ajv.compile(schema);
+
+  return (value) => {
+    if (validate(value)) return [];
+    return validate.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.params.additionalProperty
+        ? `${error.message}: ${error.params.additionalProperty}`
+        : error.message
+    }));
+  };
+};
+
+// Strings that must say something
+const text = { type: 'string', pattern: '\\S' };
+
+const date = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+// Nullable variant of a schema, which is how strict structured outputs express optional values
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+module.exports = {
+  compileSchema,
+  text,
+  date,
+  nullable
+};
@@ -0,0 +1,67 @@
+// src/services/ai/tripParseSchema.js
+const { compileSchema, text, date, nullable } = require('./schemaValidation');
+
+// Trip fields that can be read from a description, in the names createTrip takes.
+// vehicle is the car as written and is matched against the traveler's saved vehicles.
+const PARSED_FIELDS = [
+  'startDate', 'fromLocation', 'toDestination', 'stops', 'travelers', 'rooms',
+  'hotelRequired', 'vehicle', 'connectorPreferences', 'maxDrivingDistance', 'evRange'
+];
+
+// Trip details read from a free-text description; null for what the text does not say
+const tripParseSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['tripDetails', 'uncertain'],
+  properties: {
+    tripDetails: {
+      type: 'object',
+      additionalProperties: false,
+      required: PARSED_FIELDS,
+      properties: {
+        startDate: nullable(date),
+        fromLocation: nullable(text),
+        toDestination: nullable(text),
+        stops: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['location'],
+            properties: {
+              location: text
+            }
+          }
+        },
+        travelers: nullable({ type: 'integer' }),
+        rooms: nullable({ type: 'integer' }),
+        hotelRequired: nullable({ type: 'boolean' }),
+        vehicle: nullable(text),
+        connectorPreferences: nullable({ type: 'array', items: { type: 'string' } }),
+        maxDrivingDistance: nullable({ type: 'integer' }),
+        evRange: nullable({ type: 'integer' })
+      }
+    },
+    // Values that were guessed or assumed rather than stated
+    uncertain: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['field', 'reason'],
+        properties: {
+          field: { type: 'string', enum: PARSED_FIELDS },
+          reason: text
+        }
+      }
+    }
+  }
+};
+
+const tripParseSchemaErrors = compileSchema(tripParseSchema);
+
+module.exports = {
+  PARSED_FIELDS,
+  tripParseSchema,
+  tripParseSchemaErrors
+};
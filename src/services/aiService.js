@@ -1,44 +1,294 @@
 // src/services/aiService.js
-const { OpenAI } = require('openai');
+const openaiProvider = require('./ai/openaiProvider');
+const localProvider = require('./ai/localProvider');
+const mockProvider = require('./ai/mockProvider');
+const { itinerarySchema, daySchema, schemaErrors, daySchemaErrors } = require('./ai/itinerarySchema');
+const { refinementSchema, refinementSchemaErrors } = require('./ai/refinementSchema');
+const { tripParseSchema, tripParseSchemaErrors } = require('./ai/tripParseSchema');
+const { tripDayDate } = require('../utils/dateUtils');
+
+const SYSTEM_PROMPT = 'You are a travel planning assistant specializing in EV road trips. Provide detailed itineraries with hotel recommendations, charging stations, and route optimization.';
+
+class ItineraryValidationError extends Error {
+  constructor(errors) {
+    super('The AI itinerary failed validation');
+    this.name = 'ItineraryValidationError';
+    this.details = { errors };
+  }
+}
 
 class AIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // Every provider exposes name, defaultModel, complete(request, { signal }) and stream(request, { signal })
+    this.providers = {
+      openai: openaiProvider,
+      local: localProvider,
+      mock: mockProvider
+    };
+    this.providerName = process.env.AI_PROVIDER || 'openai';
+    // Without AI_MODEL each provider uses its own default model
+    this.model = process.env.AI_MODEL;
+    this.temperature = this.numberSetting(process.env.AI_TEMPERATURE, 0.7);
+    this.maxTokens = this.numberSetting(process.env.AI_MAX_TOKENS, 2000);
+    // json_schema, json_object or text; without it each provider uses the strictest mode it supports
+    this.structuredOutput = process.env.AI_STRUCTURED_OUTPUT;
+    // Times an invalid itinerary is sent back to the model with its errors before giving up
+    this.maxRepairAttempts = 2;
+  }
+
+  getProvider(name = this.providerName) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+    return provider;
+  }
+
+  numberSetting(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  async generateTripItinerary(tripData, routePlan = null) {
+    const response = await this.requestItinerary(tripData, routePlan);
+    return this.validItinerary(tripData, routePlan, response);
   }
 
-  async generateTripItinerary(tripData) {
+  // Raw model output for the itinerary prompt, checked separately by validItinerary
+  async requestItinerary(tripData, routePlan = null) {
+    return this.complete(this.buildItineraryRequest(tripData, routePlan));
+  }
+
+  // A new plan for one day whose date, start and end stay fixed; frame describes the day as planned
+  // (see dayRegenerationService.buildFrame) and hints are the traveler's wishes for the new plan
+  async regenerateDay(tripData, frame, hints = []) {
+    const request = this.buildDayRequest(tripData, frame, hints);
+    const response = await this.complete(request);
+    return this.repairUntilValid(request, response, text =>
+      this.parseDayResponse(text, tripData.tripDetails, frame)
+    );
+  }
+
+  // Answer a chat message about a trip with a reply and proposed edits. tripState is the trip as
+  // the model sees it (see tripChatService.tripState) and history the earlier messages in order.
+  async refineTrip(tripState, history, message) {
+    const request = this.buildRefinementRequest(tripState, history, message);
+    const response = await this.complete(request);
+    return this.repairUntilValid(request, response, text =>
+      this.parseRefinementResponse(text, tripState)
+    );
+  }
+
+  // Read trip details from a free-text description. today is the traveler's date as YYYY-MM-DD,
+  // which relative dates such as "next Friday" are counted from.
+  async parseTripDescription(description, today) {
+    const request = this.buildParseRequest(description, today);
+    const response = await this.complete(request);
+    return this.repairUntilValid(request, response, text => this.parseTripResponse(text));
+  }
+
+  async complete(request) {
     try {
-      const { tripDetails } = tripData;
-      const prompt = this.buildItineraryPrompt(tripDetails);
-
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are a travel planning assistant specializing in EV road trips. Provide detailed itineraries with hotel recommendations, charging stations, and route optimization."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000
-      });
+      return await this.getProvider().complete(request);
 
-      const response = completion.choices[0].message.content;
-      return this.parseItineraryResponse(response);
+    } catch (error) {
+      console.error('Error generating itinerary:', error);
+      throw new Error('Failed to generate trip itinerary');
+    }
+  }
+
+  // Same request as requestItinerary, streamed. onDay is called once for every day object
+  // as soon as it is complete in the output; resolves with the full text.
+  async streamItinerary(tripData, routePlan = null, { onDay, signal } = {}) {
+    const stream = this.getProvider().stream(this.buildItineraryRequest(tripData, routePlan), { signal });
 
+    let response = '';
+    let daysSent = 0;
+    try {
+      for await (const text of stream) {
+        response += text;
+
+        // A day can only have been completed by a chunk that closes an object
+        if (onDay && text.includes('}')) {
+          const days = this.completedDays(response);
+          for (; daysSent < days.length; daysSent++) {
+            await onDay(this.toDayOutline(days[daysSent]));
+          }
+        }
+      }
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('Error generating itinerary:', error);
       throw new Error('Failed to generate trip itinerary');
     }
+
+    return response;
+  }
+
+  // Parse and validate an itinerary response, repairing it while it fails
+  async validItinerary(tripData, routePlan, response) {
+    return this.repairUntilValid(this.buildItineraryRequest(tripData, routePlan), response, text =>
+      this.parseItineraryResponse(text, tripData.tripDetails, routePlan)
+    );
+  }
+
+  // Run parse on the response, sending it back to the model with its errors while that throws
+  // ItineraryValidationError. Resolves with the parsed result and the number of repairs it took.
+  async repairUntilValid(request, response, parse) {
+    let lastError;
+    for (let repairs = 0; repairs <= this.maxRepairAttempts; repairs++) {
+      if (repairs > 0) {
+        response = await this.complete(this.buildRepairRequest(request, response, lastError.details.errors));
+      }
+
+      try {
+        return { ...parse(response), repairs };
+      } catch (error) {
+        if (!(error instanceof ItineraryValidationError)) throw error;
+        console.warn(`AI itinerary failed validation with ${error.details.errors.length} error(s)`);
+        lastError = error;
+      }
+    }
+
+    lastError.details.attempts = this.maxRepairAttempts + 1;
+    throw lastError;
   }
 
-  buildItineraryPrompt(tripDetails) {
+  // The original request followed by the invalid answer and what is wrong with it
+  buildRepairRequest(request, response, errors) {
+    const problems = errors.slice(0, 20).map(error => `- ${error.path}: ${error.message}`);
+    return {
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: response },
+        {
+          role: 'user',
+          content: `That answer is not valid:\n${problems.join('\n')}\n\n` +
+            'Return the corrected JSON only, keeping everything that was already valid.'
+        }
+      ]
+    };
+  }
+
+  // Provider request; context carries the structured inputs for providers that do not read prompts
+  buildItineraryRequest(tripData, routePlan = null) {
+    const { tripDetails } = tripData;
+    const prompt = this.buildItineraryPrompt(tripDetails, routePlan);
+
+    return {
+      model: this.model,
+      messages: [
+        {
+          role: "system",
+          content: SYSTEM_PROMPT
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      responseFormat: {
+        name: 'trip_itinerary',
+        schema: itinerarySchema,
+        mode: this.structuredOutput
+      },
+      context: {
+        task: 'itinerary',
+        tripDetails,
+        routePlan
+      }
+    };
+  }
+
+  buildDayRequest(tripData, frame, hints = []) {
+    const { tripDetails } = tripData;
+
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: this.buildDayPrompt(tripDetails, frame, hints) }
+      ],
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      responseFormat: {
+        name: 'itinerary_day',
+        schema: daySchema,
+        mode: this.structuredOutput
+      },
+      context: {
+        task: 'day',
+        tripDetails,
+        frame,
+        hints
+      }
+    };
+  }
+
+  // Day objects of the dayByDay array that are already complete in a partial response
+  completedDays(response) {
+    const key = response.indexOf('"dayByDay"');
+    const arrayStart = key === -1 ? -1 : response.indexOf('[', key);
+    if (arrayStart === -1) return [];
+
+    const days = [];
+    let depth = 0;
+    let objectStart = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = arrayStart + 1; i < response.length; i++) {
+      const char = response[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          try {
+            days.push(JSON.parse(response.slice(objectStart, i + 1)));
+          } catch (error) {
+            return days;
+          }
+        }
+      } else if (char === ']' && depth === 0) {
+        break;
+      }
+    }
+
+    return days;
+  }
+
+  // The per-day text the route plan cannot provide
+  toDayOutline(day) {
+    return {
+      day: day.day,
+      date: day.date,
+      from: day.from,
+      to: day.to,
+      summary: day.summary,
+      attractions: (day.attractions || []).map(attraction => ({
+        name: attraction.name,
+        location: attraction.location,
+        description: attraction.description
+      }))
+    };
+  }
+
+  buildItineraryPrompt(tripDetails, routePlan = null) {
     const {
       startDate,
       fromLocation,
@@ -66,6 +316,24 @@ Hotel required: ${hotelRequired ? 'Yes' : 'No'}`;
       prompt += `\nStops en route: ${stops.map(stop => stop.location).join(', ')}`;
     }
 
+    if (tripDetails.connectorPreferences && tripDetails.connectorPreferences.length > 0) {
+      prompt += `\nVehicle connectors: ${tripDetails.connectorPreferences.join(', ')} (only suggest charging stations with these connectors)`;
+    }
+
+    if (routePlan) {
+      prompt += `\n\n${this.buildRoutePlanSection(routePlan)}`;
+    }
+
+    const rules = [
+      'Respond with the JSON object only, without any other text',
+      'Give one dayByDay entry per driving day, numbered from 1 and dated from the start date',
+      'Distances are in kilometers and must be greater than 0',
+      'Use null for station coordinates you do not know'
+    ];
+    if (hotelRequired) {
+      rules.push('Recommend at least one hotel on every day except the last, for the night after it');
+    }
+
     prompt += `\n\nPlease provide:
 1. A day-by-day itinerary
 2. Recommended hotels for each overnight stop (include hotel name and city)
@@ -84,6 +352,14 @@ Format the response as a structured JSON with the following structure:
       "from": "location",
       "to": "location",
       "distance": number,
+      "summary": "one or two sentences about the day",
+      "attractions": [
+        {
+          "name": "attraction name",
+          "location": "city name",
+          "description": "why it is worth a stop"
+        }
+      ],
       "hotels": [
         {
           "name": "hotel name",
@@ -95,6 +371,8 @@ Format the response as a structured JSON with the following structure:
         {
           "name": "station name",
           "location": "location",
+          "latitude": number or null,
+          "longitude": number or null,
           "connectorTypes": ["Type2", "CCS"]
         }
       ]
@@ -106,77 +384,387 @@ Format the response as a structured JSON with the following structure:
       "purpose": "charging/hotel/attraction"
     }
   ]
-}`;
+}
+
+Rules:
+${rules.map(rule => `- ${rule}`).join('\n')}`;
 
     return prompt;
   }
 
-  parseItineraryResponse(response) {
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        
-        // Extract hotels for API verification
-        const hotels = [];
-        if (parsed.dayByDay) {
-          parsed.dayByDay.forEach(day => {
-            if (day.hotels) {
-              day.hotels.forEach(hotel => {
-                hotels.push({
-                  name: hotel.name,
-                  location: hotel.city,
-                  checkIn: day.date,
-                  checkOut: this.calculateCheckOut(day.date),
-                  verified: false
-                });
-              });
-            }
+  buildRefinementRequest(tripState, history, message) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: this.buildRefinementPrompt(tripState) },
+        ...history.map(entry => ({ role: entry.role, content: entry.content })),
+        { role: 'user', content: message }
+      ],
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      responseFormat: {
+        name: 'trip_refinement',
+        schema: refinementSchema,
+        mode: this.structuredOutput
+      },
+      context: {
+        task: 'chat',
+        tripState,
+        message
+      }
+    };
+  }
+
+  buildRefinementPrompt(tripState) {
+    return `${SYSTEM_PROMPT}
+You are helping a traveler refine the trip below by chat. Answer their message briefly in "reply" and,
+when they ask for a change, propose it as edits. The traveler reviews the edits before they are applied.
+
+Current trip:
+${JSON.stringify(tripState, null, 2)}
+
+Respond with JSON only, in exactly this structure:
+{
+  "reply": "short answer to the traveler",
+  "tripDetails": null or {
+    "startDate": "YYYY-MM-DD" or null,
+    "fromLocation": "location" or null,
+    "toDestination": "location" or null,
+    "stops": [{ "location": "location", "arrivalDate": "YYYY-MM-DD" or null, "departureDate": "YYYY-MM-DD" or null }] or null,
+    "maxDrivingDistance": number or null,
+    "evRange": number or null,
+    "cruisingSpeed": number or null,
+    "travelers": number or null,
+    "rooms": number or null,
+    "hotelRequired": true, false or null,
+    "connectorPreferences": ["CCS"] or null,
+    "chargingPreferences": { "startingCharge": number or null, "arrivalReserve": number or null, "chargeTarget": number or null } or null
+  },
+  "days": [{ "day": number, "summary": "text" or null, "notes": "text" or null, "attractions": [{ "name": "name", "location": "city", "description": "text" }] or null }]
+}
+
+Rules:
+- Use null for everything that should stay as it is, and tripDetails null when no trip detail changes
+- stops is the complete new list of stops in route order, including the ones that stay
+- Route, days and hotels are recalculated from the trip details, so change those to move stops or shorten days
+- days only edits the text of existing days
+- Distances are in kilometers; maxDrivingDistance is per day
+- When the message does not ask for a change, answer it and propose no edits`;
+  }
+
+  buildParseRequest(description, today) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: this.buildParsePrompt(today) },
+        { role: 'user', content: description }
+      ],
+      // Extraction should read the text the same way every time
+      temperature: 0,
+      maxTokens: this.maxTokens,
+      responseFormat: {
+        name: 'trip_description',
+        schema: tripParseSchema,
+        mode: this.structuredOutput
+      },
+      context: {
+        task: 'parse',
+        description,
+        today
+      }
+    };
+  }
+
+  buildParsePrompt(today) {
+    const weekday = new Date(`${today}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+
+    return `${SYSTEM_PROMPT}
+Read the details of an electric road trip from the traveler's description. Today is ${weekday} ${today}.
+
+Respond with JSON only, in exactly this structure:
+{
+  "tripDetails": {
+    "startDate": "YYYY-MM-DD" or null,
+    "fromLocation": "City, Country" or null,
+    "toDestination": "City, Country" or null,
+    "stops": [{ "location": "City, Country" }],
+    "travelers": number or null,
+    "rooms": number or null,
+    "hotelRequired": true, false or null,
+    "vehicle": "car as written, e.g. Tesla Model 3" or null,
+    "connectorPreferences": ["CCS2"] or null,
+    "maxDrivingDistance": number or null,
+    "evRange": number or null
+  },
+  "uncertain": [{ "field": "startDate", "reason": "why the value is a guess" }]
+}
+
+Rules:
+- Use null for anything the description does not mention; do not fill in defaults
+- Count relative dates such as "next Friday" or "in two weeks" from today
+- travelers counts everyone on the trip, children included
+- stops are places to stop on the way, in route order, without the start and destination
+- Distances are in kilometers; convert miles
+- Add a field to uncertain whenever its value was assumed, inferred or could mean more than one thing`;
+  }
+
+  buildDayPrompt(tripDetails, frame, hints = []) {
+    const { current } = frame;
+    const wishes = hints.length > 0
+      ? hints.map(hint => `- ${hint}`).join('\n')
+      : '- Suggest a better plan than the current one';
+
+    const rules = [
+      'Respond with the JSON object for this day only, without any other text',
+      `Keep day ${frame.day}, date ${frame.date}, from and to exactly as given`,
+      'Distances are in kilometers and must be greater than 0',
+      'Use null for station coordinates you do not know',
+      ...(frame.chargingStops.length > 0 ? ['Suggest a charging station near each charging stop'] : [])
+    ];
+    if (tripDetails.hotelRequired && !frame.lastDay) {
+      rules.push('Recommend at least one hotel near the end of the day for the night after it');
+    }
+    if (tripDetails.connectorPreferences && tripDetails.connectorPreferences.length > 0) {
+      rules.push(`Only suggest charging stations with these connectors: ${tripDetails.connectorPreferences.join(', ')}`);
+    }
+
+    return `Replan day ${frame.day} of an EV road trip from ${tripDetails.fromLocation} to ${tripDetails.toDestination}.
+The other days stay as they are, so the date, start and end of this day cannot change.
+
+Day: ${frame.day}
+Date: ${frame.date}
+From: ${frame.from}
+To: ${frame.to}
+Distance: ${frame.distance} km
+Travelers: ${tripDetails.travelers}
+Rooms needed: ${tripDetails.rooms}
+
+Planned legs:
+${frame.legs.map(leg => this.describeLeg(leg)).join('\n')}
+${frame.chargingStops.length > 0 ? `
+Charging stops:
+${frame.chargingStops.map(stop =>
+    `${stop.location} at ${stop.coordinates.latitude.toFixed(4)}, ${stop.coordinates.longitude.toFixed(4)}`
+  ).join('\n')}
+` : ''}
+Current plan for the day:
+Hotel: ${current.hotel || 'none'}
+Charging stations: ${current.chargingStations.join(', ') || 'none'}
+Attractions: ${current.attractions.join(', ') || 'none'}
+
+The traveler wants:
+${wishes}
+
+Use the same structure as a dayByDay entry of a trip itinerary:
+{
+  "day": number,
+  "date": "YYYY-MM-DD",
+  "from": "location",
+  "to": "location",
+  "distance": number,
+  "summary": "one or two sentences about the day",
+  "attractions": [{ "name": "attraction name", "location": "city name", "description": "why it is worth a stop" }],
+  "hotels": [{ "name": "hotel name", "city": "city name", "reason": "why recommended" }],
+  "chargingStations": [{ "name": "station name", "location": "location", "latitude": number or null, "longitude": number or null, "connectorTypes": ["Type2", "CCS"] }]
+}
+
+Rules:
+${rules.map(rule => `- ${rule}`).join('\n')}`;
+  }
+
+  // Describe the computed legs so the model enriches them instead of inventing its own
+  buildRoutePlanSection(routePlan) {
+    const lines = routePlan.legs.map(leg => this.describeLeg(leg));
+
+    return `The route has already been planned to respect the EV range and daily driving limit.
+Range was adjusted for expected temperature, motorway speed and climbing.
+Total distance: ${routePlan.totalDistance} km over ${routePlan.days} day(s).
+Do not change these legs or distances. Use them for the day-by-day itinerary, recommend hotels near
+each overnight stop and charging stations near each charging stop:
+${lines.join('\n')}`;
+  }
+
+  describeLeg(leg) {
+    return `Day ${leg.day}: ${leg.from} -> ${leg.to}, ${leg.distance} km (ends with ${leg.endsWith})` +
+      ` at ${leg.toCoordinates.latitude.toFixed(4)}, ${leg.toCoordinates.longitude.toFixed(4)}` +
+      (leg.rangeAssumptions
+        ? `, expected range ${leg.rangeAssumptions.adjustedRange} km at ${leg.rangeAssumptions.temperature}°C`
+        : '');
+  }
+
+  // Parse a response into the pieces generation uses; throws ItineraryValidationError listing
+  // every problem found, so nothing half-valid reaches the trip
+  parseItineraryResponse(response, tripDetails, routePlan = null) {
+    const parsed = this.parseJson(response);
+
+    const invalid = schemaErrors(parsed);
+    const errors = invalid.length > 0 ? invalid : this.itineraryErrors(parsed, tripDetails, routePlan);
+    if (errors.length > 0) {
+      throw new ItineraryValidationError(errors);
+    }
+
+    // Keep the per-day text the route plan cannot provide
+    const days = parsed.dayByDay.map(day => this.toDayOutline(day));
+
+    return {
+      totalDistance: parsed.totalDistance,
+      totalDuration: parsed.totalDuration,
+      waypoints: parsed.waypoints,
+      hotels: parsed.dayByDay.flatMap(day => this.dayHotels(day)),
+      chargingStations: parsed.dayByDay.flatMap(day => this.dayChargingStations(day)),
+      days: days,
+      rawResponse: parsed
+    };
+  }
+
+  // Same as parseItineraryResponse for a single regenerated day
+  parseDayResponse(response, tripDetails, frame) {
+    const parsed = this.parseJson(response);
+
+    const invalid = daySchemaErrors(parsed);
+    const errors = invalid.length > 0 ? invalid : this.dayErrors(parsed, tripDetails, frame);
+    if (errors.length > 0) {
+      throw new ItineraryValidationError(errors);
+    }
+
+    return {
+      day: this.toDayOutline(parsed),
+      hotels: this.dayHotels(parsed),
+      chargingStations: this.dayChargingStations(parsed),
+      rawResponse: parsed
+    };
+  }
+
+  // Reply and edits of a chat answer; edits may only touch days the trip has
+  parseRefinementResponse(response, tripState) {
+    const parsed = this.parseJson(response);
+
+    const errors = refinementSchemaErrors(parsed);
+    if (errors.length === 0) {
+      parsed.days.forEach((day, index) => {
+        if (!tripState.days.some(entry => entry.day === day.day)) {
+          errors.push({
+            path: `/days/${index}/day`,
+            message: tripState.days.length > 0
+              ? `must be an existing day between 1 and ${tripState.days.length}`
+              : 'cannot be set, the trip has no itinerary yet'
           });
         }
+      });
+    }
+    if (errors.length > 0) {
+      throw new ItineraryValidationError(errors);
+    }
 
-        // Extract charging stations
-        const chargingStations = [];
-        if (parsed.dayByDay) {
-          parsed.dayByDay.forEach(day => {
-            if (day.chargingStations) {
-              day.chargingStations.forEach(station => {
-                chargingStations.push({
-                  name: station.name,
-                  location: station.location,
-                  connectorTypes: station.connectorTypes || []
-                });
-              });
-            }
-          });
+    return parsed;
+  }
+
+  // Trip details read from a description, with the fields the model was unsure of
+  parseTripResponse(response) {
+    const parsed = this.parseJson(response);
+
+    const errors = tripParseSchemaErrors(parsed);
+    const { startDate } = parsed.tripDetails || {};
+    if (errors.length === 0 && startDate && this.formatDate(new Date(startDate)) !== startDate) {
+      errors.push({ path: '/tripDetails/startDate', message: 'must be a real calendar date' });
+    }
+    if (errors.length > 0) {
+      throw new ItineraryValidationError(errors);
+    }
+
+    return parsed;
+  }
+
+  // Hotels of a day in the shape hotel verification expects
+  dayHotels(day) {
+    return day.hotels.map(hotel => ({
+      name: hotel.name,
+      location: hotel.city,
+      checkIn: day.date,
+      checkOut: this.calculateCheckOut(day.date),
+      verified: false
+    }));
+  }
+
+  dayChargingStations(day) {
+    return day.chargingStations.map(station => ({
+      name: station.name,
+      location: station.location,
+      ...(Number.isFinite(station.latitude) && Number.isFinite(station.longitude) && {
+        coordinates: {
+          latitude: station.latitude,
+          longitude: station.longitude
         }
+      }),
+      connectorTypes: station.connectorTypes
+    }));
+  }
 
-        return {
-          totalDistance: parsed.totalDistance || 0,
-          totalDuration: parsed.totalDuration || 0,
-          waypoints: parsed.waypoints || [],
-          hotels: hotels,
-          chargingStations: chargingStations,
-          rawResponse: parsed
-        };
-      }
-      
-      throw new Error('No valid JSON found in response');
+  // The whole response must be one JSON object; some models still wrap it in a code fence
+  parseJson(response) {
+    const text = String(response || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    try {
+      return JSON.parse(text);
     } catch (error) {
-      console.error('Error parsing AI response:', error);
-      // Fallback: return basic structure
-      return {
-        totalDistance: 0,
-        totalDuration: 0,
-        waypoints: [],
-        hotels: [],
-        chargingStations: [],
-        rawResponse: response
-      };
+      throw new ItineraryValidationError([{ path: '/', message: `is not valid JSON (${error.message})` }]);
     }
   }
 
+  // Checks the schema cannot express: day numbering, dates inside the trip window and a hotel
+  // for every night when the trip needs them
+  itineraryErrors(itinerary, tripDetails, routePlan = null) {
+    const errors = [];
+    const days = itinerary.dayByDay;
+    const dayCount = routePlan?.days || days.length;
+    const firstDate = this.formatDate(tripDayDate(tripDetails.startDate, 1));
+    const lastDate = this.formatDate(tripDayDate(tripDetails.startDate, dayCount));
+
+    if (days.length !== dayCount) {
+      errors.push({ path: '/dayByDay', message: `must have ${dayCount} day(s) to match the planned route` });
+    }
+
+    days.forEach((day, index) => {
+      const path = `/dayByDay/${index}`;
+
+      if (day.day !== index + 1) {
+        errors.push({ path: `${path}/day`, message: `must be ${index + 1}, days are numbered in order from 1` });
+      }
+
+      if (this.formatDate(new Date(day.date)) !== day.date) {
+        errors.push({ path: `${path}/date`, message: 'must be a real calendar date' });
+      } else if (day.date < firstDate || day.date > lastDate) {
+        errors.push({ path: `${path}/date`, message: `must be between ${firstDate} and ${lastDate}` });
+      }
+
+      if (tripDetails.hotelRequired && index < dayCount - 1 && day.hotels.length === 0) {
+        errors.push({ path: `${path}/hotels`, message: 'must recommend a hotel for the night after this day' });
+      }
+    });
+
+    return errors;
+  }
+
+  // A regenerated day must stay where the plan put it
+  dayErrors(day, tripDetails, frame) {
+    const errors = [];
+
+    if (day.day !== frame.day) {
+      errors.push({ path: '/day', message: `must be ${frame.day}` });
+    }
+    if (day.date !== frame.date) {
+      errors.push({ path: '/date', message: `must be ${frame.date}, the date of this day is fixed` });
+    }
+    if (tripDetails.hotelRequired && !frame.lastDay && day.hotels.length === 0) {
+      errors.push({ path: '/hotels', message: 'must recommend a hotel for the night after this day' });
+    }
+
+    return errors;
+  }
+
+  formatDate(date) {
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString().split('T')[0] : undefined;
+  }
+
   calculateCheckOut(checkInDate) {
     const date = new Date(checkInDate);
     date.setDate(date.getDate() + 1);
@@ -184,4 +772,5 @@ Format the response as a structured JSON with the following structure:
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
+module.exports.ItineraryValidationError = ItineraryValidationError;
\ No newline at end of file
@@ -0,0 +1,259 @@
+// src/services/chargeSimulationService.js
+const Vehicle = require('../models/Vehicle');
+const { hasCoordinates, haversineDistance } = require('../utils/geoUtils');
+
+// Charging slows down sharply above this state of charge
+const TAPER_THRESHOLD = 80;
+
+class ChargeSimulationService {
+  constructor() {
+    this.defaults = {
+      startingCharge: 100, // percent
+      arrivalReserve: 10, // percent
+      chargeTarget: 80, // percent
+      chargeOvernight: true,
+      batteryCapacity: 60, // kWh, used when the trip has no vehicle profile
+      dcChargePower: 50, // kW
+      acChargePower: 11, // kW
+      // Furthest a suggested charging station may be from the waypoint it serves
+      stationMatchRadius: 30 // km
+    };
+  }
+
+  // Battery size, consumption and charge power for the trip's car
+  async getVehicleProfile(tripDetails) {
+    let vehicle = null;
+    if (tripDetails.vehicleId) {
+      vehicle = await Vehicle.findById(tripDetails.vehicleId);
+    }
+
+    if (vehicle) {
+      return {
+        vehicleId: vehicle._id,
+        batteryCapacity: vehicle.batteryCapacity,
+        consumption: vehicle.consumption,
+        mass: vehicle.weight,
+        maxDcChargePower: vehicle.maxDcChargePower || this.defaults.dcChargePower
+      };
+    }
+
+    // Without a profile, derive consumption from the trip's range
+    const batteryCapacity = this.defaults.batteryCapacity;
+    return {
+      vehicleId: null,
+      batteryCapacity,
+      consumption: batteryCapacity / tripDetails.evRange * 100,
+      maxDcChargePower: this.defaults.dcChargePower
+    };
+  }
+
+  // Simulate the trip's generated route and return updated route arrays plus a summary
+  async simulateTrip(trip, overrides = {}) {
+    const tripDetails = trip.tripDetails;
+    const profile = await this.getVehicleProfile(tripDetails);
+    const settings = {
+      ...this.defaults,
+      ...this.definedValues(tripDetails.chargingPreferences),
+      ...this.definedValues(overrides)
+    };
+
+    const route = typeof trip.toObject === 'function'
+      ? trip.toObject().generatedRoute
+      : trip.generatedRoute;
+
+    return this.simulateRoute(route || {}, profile, settings);
+  }
+
+  simulateRoute(route, profile, settings) {
+    const waypoints = (route.waypoints || []).map(waypoint => ({ ...waypoint }));
+    const legs = (route.legs || []).map(leg => ({ ...leg }));
+    const chargingStations = this.assignStationsToWaypoints(
+      waypoints,
+      (route.chargingStations || []).map(station => ({ ...station }))
+    );
+
+    if (waypoints.length === 0) {
+      throw new Error('Trip has no generated route to simulate');
+    }
+
+    const socPerKm = profile.consumption / 100 / profile.batteryCapacity * 100;
+    const warnings = [];
+    let soc = settings.startingCharge;
+    let minimumSoc = soc;
+    let totalChargeTime = 0;
+    let totalEnergyCharged = 0;
+
+    waypoints.forEach((waypoint, index) => {
+      if (index > 0) {
+        soc -= (waypoint.distanceFromPrevious || 0) * socPerKm / this.rangeFactor(legs[index - 1]);
+      }
+
+      waypoint.arrivalSoc = this.round(soc);
+      waypoint.belowReserve = index > 0 && waypoint.arrivalSoc < settings.arrivalReserve;
+      minimumSoc = Math.min(minimumSoc, soc);
+
+      if (waypoint.belowReserve) {
+        warnings.push({
+          waypointIndex: index,
+          location: waypoint.location,
+          arrivalSoc: waypoint.arrivalSoc,
+          arrivalReserve: settings.arrivalReserve
+        });
+      }
+
+      const isLast = index === waypoints.length - 1;
+      const isOvernight = waypoint.purpose === 'overnight' || waypoint.overnight;
+      let targetSoc = soc;
+      let chargePower = null;
+
+      if (!isLast && isOvernight && settings.chargeOvernight) {
+        targetSoc = 100;
+        chargePower = settings.acChargePower;
+      } else if (!isLast && waypoint.chargingStationRequired) {
+        const nextStretch = this.distanceToNextCharge(waypoints, legs, index);
+        const neededSoc = nextStretch * socPerKm + settings.arrivalReserve;
+        targetSoc = Math.min(100, Math.max(settings.chargeTarget, neededSoc));
+        chargePower = this.stationPower(chargingStations, index, profile);
+      }
+
+      if (targetSoc > soc) {
+        const chargeTime = this.chargeMinutes(Math.max(soc, 0), targetSoc, profile.batteryCapacity, chargePower);
+        const energyCharged = (targetSoc - Math.max(soc, 0)) / 100 * profile.batteryCapacity;
+
+        waypoint.chargeTime = chargeTime;
+        waypoint.energyCharged = this.round(energyCharged);
+        totalChargeTime += chargeTime;
+        totalEnergyCharged += energyCharged;
+        soc = targetSoc;
+      } else {
+        waypoint.chargeTime = 0;
+        waypoint.energyCharged = 0;
+      }
+
+      waypoint.departureSoc = this.round(soc);
+    });
+
+    // Legs run between consecutive waypoints
+    legs.forEach((leg, index) => {
+      const from = waypoints[index];
+      const to = waypoints[index + 1];
+      if (!from || !to) return;
+
+      leg.departureSoc = from.departureSoc;
+      leg.arrivalSoc = to.arrivalSoc;
+      leg.belowReserve = to.belowReserve;
+    });
+
+    chargingStations.forEach(station => {
+      const waypoint = waypoints[station.waypointIndex];
+      if (!waypoint) return;
+
+      station.arrivalSoc = waypoint.arrivalSoc;
+      station.departureSoc = waypoint.departureSoc;
+      station.chargeTime = waypoint.chargeTime;
+    });
+
+    return {
+      waypoints,
+      legs,
+      chargingStations,
+      summary: {
+        vehicleId: profile.vehicleId,
+        batteryCapacity: profile.batteryCapacity,
+        consumption: this.round(profile.consumption),
+        startingCharge: settings.startingCharge,
+        arrivalReserve: settings.arrivalReserve,
+        chargeTarget: settings.chargeTarget,
+        minimumSoc: this.round(minimumSoc),
+        totalChargeTime,
+        totalEnergyCharged: this.round(totalEnergyCharged),
+        feasible: warnings.length === 0,
+        warnings,
+        simulatedAt: new Date()
+      }
+    };
+  }
+
+  // Link each suggested charging station to the charging waypoint it serves
+  assignStationsToWaypoints(waypoints, stations) {
+    const chargeIndexes = waypoints
+      .map((waypoint, index) => (waypoint.chargingStationRequired ? index : -1))
+      .filter(index => index >= 0);
+
+    return stations.map((station, ordinal) => {
+      if (Number.isInteger(station.waypointIndex) && waypoints[station.waypointIndex]) {
+        return station;
+      }
+
+      let waypointIndex = null;
+
+      if (hasCoordinates(station.coordinates)) {
+        let closest = this.defaults.stationMatchRadius;
+        chargeIndexes.forEach(index => {
+          const distance = haversineDistance(station.coordinates, waypoints[index].coordinates);
+          if (distance <= closest) {
+            closest = distance;
+            waypointIndex = index;
+          }
+        });
+      } else if (ordinal < chargeIndexes.length) {
+        // Without coordinates, fall back to the order the stations were suggested in
+        waypointIndex = chargeIndexes[ordinal];
+      }
+
+      return { ...station, waypointIndex };
+    });
+  }
+
+  // Share of rated range available on a leg, from the range model assumptions the planner used
+  rangeFactor(leg) {
+    return leg?.rangeAssumptions?.factor || 1;
+  }
+
+  // Rated-equivalent distance from a waypoint to the next point where the car can charge again
+  distanceToNextCharge(waypoints, legs, fromIndex) {
+    let distance = 0;
+    for (let i = fromIndex + 1; i < waypoints.length; i++) {
+      distance += (waypoints[i].distanceFromPrevious || 0) / this.rangeFactor(legs[i - 1]);
+      if (waypoints[i].chargingStationRequired || waypoints[i].purpose === 'overnight' || waypoints[i].overnight) {
+        break;
+      }
+    }
+    return distance;
+  }
+
+  // Charge power at a waypoint, limited by both the car and the station
+  stationPower(chargingStations, waypointIndex, profile) {
+    const station = chargingStations.find(candidate => candidate.waypointIndex === waypointIndex);
+    if (station && station.maxPower) {
+      return Math.min(station.maxPower, profile.maxDcChargePower);
+    }
+    return profile.maxDcChargePower;
+  }
+
+  // Minutes needed to charge between two states of charge, slowing down above the taper threshold
+  chargeMinutes(fromSoc, toSoc, batteryCapacity, power) {
+    const fastPart = Math.max(0, Math.min(toSoc, TAPER_THRESHOLD) - Math.min(fromSoc, TAPER_THRESHOLD));
+    const slowPart = Math.max(0, Math.max(toSoc, TAPER_THRESHOLD) - Math.max(fromSoc, TAPER_THRESHOLD));
+
+    const hours = (fastPart / 100 * batteryCapacity) / (power * 0.9) +
+      (slowPart / 100 * batteryCapacity) / (power * 0.4);
+
+    return Math.ceil(hours * 60);
+  }
+
+  definedValues(values) {
+    if (!values) return {};
+    // An unset nested path still exists on a document but converts to undefined
+    const plain = (typeof values.toObject === 'function' ? values.toObject() : values) || {};
+    return Object.fromEntries(
+      Object.entries(plain).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10 || 0;
+  }
+}
+
+module.exports = new ChargeSimulationService();
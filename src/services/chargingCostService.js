@@ -0,0 +1,124 @@
+// src/services/chargingCostService.js
+const fs = require('fs');
+const path = require('path');
+
+class ChargingCostService {
+  constructor() {
+    this.tariffFile = process.env.CHARGING_TARIFFS_FILE ||
+      path.join(__dirname, '../config/chargingTariffs.json');
+    this.config = null;
+  }
+
+  // Tariff table, read once from the JSON file
+  getConfig() {
+    if (!this.config) {
+      const config = JSON.parse(fs.readFileSync(this.tariffFile, 'utf8'));
+      if (!Array.isArray(config.tariffs) || !config.exchangeRates) {
+        throw new Error(`Invalid charging tariff file: ${this.tariffFile}`);
+      }
+      this.config = config;
+    }
+    return this.config;
+  }
+
+  supportedCurrencies() {
+    return Object.keys(this.getConfig().exchangeRates);
+  }
+
+  // Most specific tariff for an operator/country/power class; operator beats country beats power class
+  findTariff({ operator, country, powerClass }) {
+    const { tariffs } = this.getConfig();
+    const operatorName = (operator || '').toLowerCase();
+    const powerClasses = powerClass === 'overnight' ? ['overnight', 'AC'] : [powerClass];
+
+    let best = null;
+    let bestScore = -1;
+
+    tariffs.forEach(tariff => {
+      if (tariff.operator && !operatorName.includes(tariff.operator.toLowerCase())) return;
+      if (tariff.country && tariff.country !== country) return;
+      if (tariff.powerClass && !powerClasses.includes(tariff.powerClass)) return;
+
+      const score = (tariff.operator ? 4 : 0) +
+        (tariff.country ? 2 : 0) +
+        (tariff.powerClass === powerClass ? 1 : 0);
+
+      if (score > bestScore) {
+        best = tariff;
+        bestScore = score;
+      }
+    });
+
+    if (!best) {
+      throw new Error(`No charging tariff configured for ${powerClass} charging`);
+    }
+    return best;
+  }
+
+  convert(amount, fromCurrency, toCurrency) {
+    const { exchangeRates, baseCurrency } = this.getConfig();
+    const from = exchangeRates[fromCurrency || baseCurrency];
+    const to = exchangeRates[toCurrency];
+
+    if (!from || !to) {
+      throw new Error(`No exchange rate configured for ${!from ? fromCurrency : toCurrency}`);
+    }
+    return amount / from * to;
+  }
+
+  // Cost of every charging session on a simulated route, in the trip's currency
+  estimateChargingCost({ waypoints = [], chargingStations = [], currency }) {
+    const config = this.getConfig();
+    const targetCurrency = currency || config.baseCurrency;
+    const efficiency = config.chargingEfficiency || 1;
+
+    const stops = [];
+
+    waypoints.forEach((waypoint, index) => {
+      if (!(waypoint.energyCharged > 0)) return;
+
+      const station = chargingStations.find(candidate => candidate.waypointIndex === index);
+      const isOvernight = waypoint.purpose === 'overnight' || waypoint.overnight;
+      const powerClass = isOvernight ? 'overnight' : 'DC';
+      const tariff = this.findTariff({
+        operator: station?.operator,
+        country: station?.country,
+        powerClass
+      });
+
+      // Energy drawn from the grid includes charging losses
+      const energy = waypoint.energyCharged / efficiency;
+      const minutes = waypoint.chargeTime || 0;
+      const tariffCost = energy * (tariff.pricePerKwh || 0) +
+        minutes * (tariff.pricePerMinute || 0) +
+        (tariff.sessionFee || 0);
+
+      stops.push({
+        waypointIndex: index,
+        day: waypoint.day,
+        location: station?.name || waypoint.location,
+        stationId: station?.stationId,
+        operator: station?.operator,
+        powerClass,
+        energy: this.round(energy),
+        minutes,
+        tariffId: tariff.id,
+        cost: this.round(this.convert(tariffCost, tariff.currency, targetCurrency))
+      });
+    });
+
+    return {
+      currency: targetCurrency,
+      totalEnergy: this.round(stops.reduce((sum, stop) => sum + stop.energy, 0)),
+      totalCost: this.round(stops.reduce((sum, stop) => sum + stop.cost, 0)),
+      stops,
+      calculatedAt: new Date()
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new ChargingCostService();
@@ -0,0 +1,457 @@
+// src/services/chargingStationService.js
+const fs = require('fs');
+const ChargingStation = require('../models/ChargingStation');
+const { hasCoordinates, sampleRoute, projectOntoRoute } = require('../utils/geoUtils');
+const {
+  normalizeConnector,
+  usableStationConnectors,
+  evaluateCompatibility
+} = require('../utils/connectorUtils');
+
+// Open Charge Map marks direct current connections with these current type titles
+const DC_CURRENT_PATTERN = /^DC/i;
+
+class ChargingStationService {
+  constructor() {
+    this.importBatchSize = 500;
+    // How far from the suggested location a catalog station may be to count as a match
+    this.verificationRadius = 25; // km
+    // Most circles one along-route query may hold
+    this.maxRouteSamples = 100;
+  }
+
+  // Import an Open Charge Map style JSON dump (array of POIs) into the catalog
+  async importOpenChargeMapFile(filePath) {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    const records = Array.isArray(parsed) ? parsed : parsed.data || parsed.items || [];
+
+    return this.importOpenChargeMapRecords(records);
+  }
+
+  async importOpenChargeMapRecords(records) {
+    const summary = { total: records.length, upserted: 0, modified: 0, skipped: 0 };
+    const importedAt = new Date();
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await ChargingStation.bulkWrite(operations, { ordered: false });
+      summary.upserted += result.upsertedCount || 0;
+      summary.modified += result.modifiedCount || 0;
+      operations = [];
+    };
+
+    for (const record of records) {
+      const station = this.mapOpenChargeMapRecord(record);
+      if (!station) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { externalId: station.externalId },
+          update: { $set: { ...station, lastImportedAt: importedAt } },
+          upsert: true
+        }
+      });
+
+      if (operations.length >= this.importBatchSize) {
+        await flush();
+      }
+    }
+
+    await flush();
+    return summary;
+  }
+
+  // Convert one Open Charge Map POI into a ChargingStation document, or null if unusable
+  mapOpenChargeMapRecord(record) {
+    const address = record.AddressInfo || {};
+    const latitude = Number(address.Latitude);
+    const longitude = Number(address.Longitude);
+
+    if (!record.ID || !hasCoordinates({ latitude, longitude })) {
+      return null;
+    }
+
+    const connectors = (record.Connections || []).map(connection => {
+      const type = connection.ConnectionType?.Title ||
+        connection.ConnectionType?.FormalName ||
+        (connection.ConnectionTypeID ? `ConnectionType ${connection.ConnectionTypeID}` : 'Unknown');
+
+      return {
+        type,
+        standard: normalizeConnector(type) || normalizeConnector(connection.ConnectionType?.FormalName) || undefined,
+        powerKw: Number(connection.PowerKW) || undefined,
+        count: Number(connection.Quantity) || 1,
+        currentType: this.mapCurrentType(connection.CurrentType?.Title)
+      };
+    });
+
+    const usageType = record.UsageType || {};
+    const usageTitle = usageType.Title || '';
+
+    return {
+      externalId: `ocm-${record.ID}`,
+      source: 'open_charge_map',
+      name: address.Title || record.OperatorInfo?.Title || `Charging station ${record.ID}`,
+      operator: {
+        name: record.OperatorInfo?.Title,
+        website: record.OperatorInfo?.WebsiteURL
+      },
+      location: {
+        type: 'Point',
+        coordinates: [longitude, latitude]
+      },
+      address: {
+        line1: address.AddressLine1,
+        town: address.Town,
+        state: address.StateOrProvince,
+        postcode: address.Postcode,
+        country: address.Country?.ISOCode
+      },
+      connectors,
+      maxPower: ChargingStation.highestPower(connectors),
+      access: {
+        isPublic: !/private/i.test(usageTitle),
+        membershipRequired: Boolean(usageType.IsMembershipRequired) || /membership/i.test(usageTitle),
+        payAtLocation: usageType.IsPayAtLocation,
+        usageCost: record.UsageCost,
+        comments: address.AccessComments
+      },
+      isOperational: record.StatusType ? record.StatusType.IsOperational !== false : true
+    };
+  }
+
+  mapCurrentType(title) {
+    if (!title) return 'unknown';
+    return DC_CURRENT_PATTERN.test(title) ? 'DC' : 'AC';
+  }
+
+  // Mongo filters shared by the nearby and along-route searches; connectorType is the car's connector
+  buildFilters({ minPower, connectorType, allowAdapters = true } = {}) {
+    const filters = {};
+    if (minPower) {
+      filters.maxPower = { $gte: minPower };
+    }
+    if (connectorType) {
+      filters['connectors.standard'] = {
+        $in: usableStationConnectors([connectorType], { allowAdapters })
+      };
+    }
+    return filters;
+  }
+
+  async findNearby({ latitude, longitude, radiusKm = 10, limit = 20, minPower, connectorType, allowAdapters }) {
+    const stations = await ChargingStation.findNearby({
+      latitude,
+      longitude,
+      radiusKm,
+      limit,
+      filters: this.buildFilters({ minPower, connectorType, allowAdapters })
+    });
+
+    return stations.map(station => this.withCompatibility(this.formatStation(station), connectorType));
+  }
+
+  // Stations within corridorKm of the route polyline, ordered by how far along the route they are
+  async findAlongRoute(points, { corridorKm = 5, limit = 50, minPower, connectorType, allowAdapters } = {}) {
+    const routePoints = points.filter(hasCoordinates);
+    if (routePoints.length < 2) {
+      throw new Error('At least two route points with coordinates are required');
+    }
+
+    // Overlapping circles around sampled points cover the corridor. Long routes keep every
+    // stride-th sample with circles grown to close the gaps; what they catch beyond the corridor
+    // is filtered out below.
+    const sampled = sampleRoute(routePoints, corridorKm);
+    const stride = Math.max(1, Math.ceil((sampled.length - 1) / (this.maxRouteSamples - 2)));
+    const samples = sampled.filter((sample, index) => index % stride === 0 || index === sampled.length - 1);
+    const radiusRadians = Math.hypot(corridorKm, corridorKm * stride) / 6378.1;
+
+    const stations = await ChargingStation.find({
+      isOperational: true,
+      ...this.buildFilters({ minPower, connectorType, allowAdapters }),
+      $or: samples.map(sample => ({
+        location: {
+          $geoWithin: {
+            $centerSphere: [[sample.longitude, sample.latitude], radiusRadians]
+          }
+        }
+      }))
+    }).select('-__v').lean();
+
+    return stations
+      .map(station => {
+        const formatted = this.withCompatibility(this.formatStation(station), connectorType);
+        const position = projectOntoRoute(formatted.coordinates, routePoints);
+        return {
+          ...formatted,
+          distanceFromRoute: this.round(position.distanceFromRoute),
+          distanceAlongRoute: this.round(position.distanceAlongRoute)
+        };
+      })
+      .filter(station => station.distanceFromRoute <= corridorKm)
+      .sort((a, b) => a.distanceAlongRoute - b.distanceAlongRoute)
+      .slice(0, limit);
+  }
+
+  // Verify AI-suggested charging stations against the local catalog
+  async verifyRecommendedStations({ stations, waypoints = [], connectorPreferences = [] }) {
+    const results = {
+      verified: [],
+      replaced: [],
+      dropped: []
+    };
+
+    for (const recommendedStation of stations) {
+      try {
+        const anchor = recommendedStation.coordinates ||
+          waypoints[recommendedStation.waypointIndex]?.coordinates;
+
+        const match = hasCoordinates(anchor)
+          ? await this.matchStationNearby(recommendedStation, anchor, connectorPreferences)
+          : await this.matchStationByName(recommendedStation, connectorPreferences);
+
+        if (match.status === 'verified') {
+          results.verified.push({
+            original: recommendedStation,
+            verified: match.station,
+            status: 'verified',
+            confidence: match.confidence,
+            distance: match.distance,
+            compatibility: this.stationCompatibility(match.station, connectorPreferences)
+          });
+        } else if (match.status === 'replaced') {
+          results.replaced.push({
+            original: recommendedStation,
+            replacement: match.station,
+            status: 'replaced',
+            confidence: match.confidence,
+            distance: match.distance,
+            reason: match.reason,
+            compatibility: this.stationCompatibility(match.station, connectorPreferences)
+          });
+        } else {
+          results.dropped.push({
+            original: recommendedStation,
+            status: 'dropped',
+            reason: match.reason
+          });
+        }
+
+      } catch (error) {
+        console.error(`Error verifying charging station ${recommendedStation.name}:`, error.message);
+        results.dropped.push({
+          original: recommendedStation,
+          status: 'error',
+          reason: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // Match by name among nearby stations, falling back to the nearest compatible one
+  async matchStationNearby(recommendedStation, anchor, connectorPreferences) {
+    const candidates = (await ChargingStation.findNearby({
+      latitude: anchor.latitude,
+      longitude: anchor.longitude,
+      radiusKm: this.verificationRadius,
+      limit: 25
+    })).map(station => this.formatStation(station));
+
+    if (candidates.length === 0) {
+      return { status: 'dropped', reason: 'No catalog station near the suggested location' };
+    }
+
+    // Closer stations are more likely to be the one the model meant
+    const proximity = (station) => 1 - 0.3 * (station.distance / this.verificationRadius);
+
+    let reason = 'Suggested station not found in catalog';
+
+    for (const station of candidates) {
+      const nameScore = this.nameMatchScore(recommendedStation.name, station);
+      if (nameScore > 0) {
+        if (this.isCompatible(station, connectorPreferences)) {
+          return {
+            status: 'verified',
+            station,
+            confidence: this.round(nameScore * proximity(station)),
+            distance: station.distance
+          };
+        }
+        reason = 'Suggested station has no compatible connector';
+        break;
+      }
+    }
+
+    // Prefer stations the car can use without an adapter
+    const replacement =
+      candidates.find(station => this.stationCompatibility(station, connectorPreferences).status === 'compatible') ||
+      candidates.find(station => this.isCompatible(station, connectorPreferences));
+
+    if (!replacement) {
+      return { status: 'dropped', reason: 'No compatible catalog station near the suggested location' };
+    }
+
+    return {
+      status: 'replaced',
+      station: replacement,
+      confidence: this.round(0.5 * proximity(replacement)),
+      distance: replacement.distance,
+      reason
+    };
+  }
+
+  // Without any location, only a name match can confirm the station exists
+  async matchStationByName(recommendedStation, connectorPreferences) {
+    if (!recommendedStation.name) {
+      return { status: 'dropped', reason: 'Suggested station has neither name nor location' };
+    }
+
+    const [station] = await ChargingStation.find(
+      { $text: { $search: recommendedStation.name }, isOperational: true },
+      { score: { $meta: 'textScore' } }
+    ).sort({ score: { $meta: 'textScore' } }).limit(1).lean();
+
+    if (!station || this.nameMatchScore(recommendedStation.name, station) === 0) {
+      return { status: 'dropped', reason: 'No catalog station matches the suggested name' };
+    }
+
+    if (!this.isCompatible(station, connectorPreferences)) {
+      return { status: 'dropped', reason: 'Suggested station has no compatible connector' };
+    }
+
+    return {
+      status: 'verified',
+      station: this.formatStation(station),
+      confidence: 0.6,
+      distance: null
+    };
+  }
+
+  // 1.0 for an exact name match, 0.8 for a partial one, 0 otherwise
+  nameMatchScore(suggestedName, station) {
+    const suggested = this.normalizeName(suggestedName);
+    if (!suggested) return 0;
+
+    const names = [station.name, station.operator?.name]
+      .map(name => this.normalizeName(name))
+      .filter(Boolean);
+
+    if (names.includes(suggested)) return 1.0;
+    if (names.some(name => name.includes(suggested) || suggested.includes(name))) return 0.8;
+    return 0;
+  }
+
+  normalizeName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // Compatibility of a catalog station with the traveler's connectors
+  stationCompatibility(station, connectorPreferences = []) {
+    const stationConnectors = (station.connectors || []).map(connector => connector.standard || connector.type);
+    return evaluateCompatibility(connectorPreferences, stationConnectors);
+  }
+
+  // Only stations known to be incompatible are ruled out
+  isCompatible(station, connectorPreferences = []) {
+    return this.stationCompatibility(station, connectorPreferences).status !== 'incompatible';
+  }
+
+  withCompatibility(station, connectorType) {
+    if (!connectorType) return station;
+    return { ...station, compatibility: this.stationCompatibility(station, [connectorType]) };
+  }
+
+  // Trip charging stop entries built from verification results
+  buildVerifiedStations(verificationResults) {
+    const fromCatalog = (entry, catalogStation) => ({
+      stationId: catalogStation.id,
+      name: catalogStation.name,
+      operator: catalogStation.operator?.name,
+      country: catalogStation.address?.country,
+      location: [catalogStation.address?.line1, catalogStation.address?.town].filter(Boolean).join(', ') ||
+        entry.original.location,
+      coordinates: catalogStation.coordinates,
+      connectorTypes: [...new Set((catalogStation.connectors || []).map(connector => connector.type))],
+      maxPower: catalogStation.maxPower,
+      waypointIndex: entry.original.waypointIndex,
+      compatibility: entry.compatibility,
+      verification: {
+        status: entry.status,
+        confidence: entry.confidence,
+        originalName: entry.original.name,
+        originalLocation: entry.original.location,
+        distance: entry.distance,
+        ...(entry.reason && { reason: entry.reason })
+      }
+    });
+
+    // Keep stations in route order
+    const stations = [
+      ...verificationResults.verified.map(entry => fromCatalog(entry, entry.verified)),
+      ...verificationResults.replaced.map(entry => fromCatalog(entry, entry.replacement))
+    ].sort((a, b) => (a.waypointIndex ?? Infinity) - (b.waypointIndex ?? Infinity));
+
+    const confidences = stations.map(station => station.verification.confidence);
+
+    return {
+      stations,
+      summary: {
+        verified: verificationResults.verified.length,
+        replaced: verificationResults.replaced.length,
+        dropped: verificationResults.dropped.map(entry => ({
+          name: entry.original.name,
+          location: entry.original.location,
+          reason: entry.reason
+        })),
+        averageConfidence: confidences.length > 0
+          ? this.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+          : null,
+        verifiedAt: new Date()
+      }
+    };
+  }
+
+  // Route polyline for a trip: generated waypoints if present, otherwise its from/stop/to points
+  routePointsForTrip(trip) {
+    const waypoints = trip.generatedRoute?.waypoints || [];
+    if (waypoints.length >= 2) {
+      return waypoints.map(waypoint => waypoint.coordinates).filter(hasCoordinates);
+    }
+
+    const { tripDetails } = trip;
+    return [
+      tripDetails.fromCoordinates,
+      ...(tripDetails.stops || []).map(stop => stop.coordinates),
+      tripDetails.toCoordinates
+    ].filter(hasCoordinates);
+  }
+
+  formatStation(station) {
+    const [longitude, latitude] = station.location.coordinates;
+    return {
+      id: station._id,
+      externalId: station.externalId,
+      name: station.name,
+      operator: station.operator,
+      coordinates: { latitude, longitude },
+      address: station.address,
+      connectors: station.connectors,
+      maxPower: station.maxPower,
+      access: station.access,
+      ...(station.distance !== undefined && { distance: this.round(station.distance) })
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new ChargingStationService();
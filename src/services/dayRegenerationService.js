@@ -0,0 +1,195 @@
+// src/services/dayRegenerationService.js
+const Trip = require('../models/Trip');
+const ItineraryJob = require('../models/ItineraryJob');
+const aiService = require('./aiService');
+const hotelService = require('./hotelService');
+const chargeSimulationService = require('./chargeSimulationService');
+const chargingStationService = require('./chargingStationService');
+const chargingCostService = require('./chargingCostService');
+const itineraryService = require('./itineraryService');
+const itineraryGenerationService = require('./itineraryGenerationService');
+const tripRevisionService = require('./tripRevisionService');
+const { ItineraryJobConflictError } = itineraryGenerationService;
+const { tripDayDate, dayOfTrip } = require('../utils/dateUtils');
+const { hasCoordinates } = require('../utils/geoUtils');
+
+class TripChangedError extends Error {
+  constructor() {
+    super('The trip was changed while the day was regenerated, reload the trip and try again');
+    this.name = 'TripChangedError';
+    this.code = 'TRIP_CHANGED';
+  }
+}
+
+class DayRegenerationService {
+  // Rebuild one day of a generated trip from a new AI plan for that day. Its legs, endpoints and
+  // date stay as planned, so no other day moves; only its hotel and chargers are verified again.
+  // Resolves with the saved trip, the new day and the station verification for that day.
+  async regenerateDay(trip, dayNumber, { hints = [], userId }) {
+    // A running generation replaces every day; whichever of the two saved last would fail
+    await ItineraryJob.releaseStale(trip._id, itineraryGenerationService.staleAfterMinutes);
+    const activeJob = await ItineraryJob.findOne({ tripId: trip._id, active: true }).select('_id');
+    if (activeJob) {
+      throw new ItineraryJobConflictError(activeJob._id);
+    }
+
+    const source = trip.toObject();
+    const { tripDetails, generatedRoute: route } = source;
+    const frame = this.buildFrame(source, dayNumber);
+
+    const aiDay = await aiService.regenerateDay(source, frame, hints);
+
+    // Only the night after this day is verified again
+    const dayHotels = tripDetails.hotelRequired && aiDay.hotels.length > 0
+      ? await hotelService.verifyAndSearchHotels(aiDay.hotels, tripDetails)
+      : [];
+    // The night keeps its hotel unless verification found a replacement; a night without one takes
+    // the AI's suggestion as it is, as a full generation would
+    const isThisNight = hotel => dayOfTrip(tripDetails.startDate, hotel.checkIn) === dayNumber;
+    const currentHotels = (route.hotels || []).filter(isThisNight);
+    const replacements = dayHotels.filter(hotel => hotel.verified);
+    let nightHotels = currentHotels;
+    if (currentHotels.length === 0) {
+      nightHotels = dayHotels;
+    } else if (replacements.length > 0) {
+      nightHotels = replacements;
+    }
+    const hotels = [
+      ...(route.hotels || []).filter(hotel => !isThisNight(hotel)),
+      ...nightHotels
+    ].sort((a, b) => new Date(a.checkIn) - new Date(b.checkIn));
+
+    const { chargingStations, stationVerification } = await this.replaceDayStations(route, frame, aiDay, tripDetails);
+
+    // Other days keep their legs, but their charge levels follow from the new chargers
+    const simulation = await chargeSimulationService.simulateTrip({
+      tripDetails,
+      generatedRoute: { ...route, chargingStations }
+    });
+    const chargingCost = chargingCostService.estimateChargingCost({
+      waypoints: simulation.waypoints,
+      chargingStations: simulation.chargingStations,
+      currency: tripDetails.currency
+    });
+
+    const [rebuiltDay] = itineraryService.buildDays({
+      tripDetails,
+      legs: simulation.legs.filter(leg => leg.day === dayNumber),
+      waypoints: simulation.waypoints,
+      hotels,
+      chargingStations: simulation.chargingStations,
+      aiDays: [aiDay.day]
+    });
+
+    const days = itineraryService.refreshHotelIndexes(
+      itineraryService.refreshChargingStops(source.itinerary.days, simulation.waypoints, simulation.chargingStations),
+      hotels,
+      tripDetails.startDate
+    ).map(day => (day.day === dayNumber ? { ...rebuiltDay, notes: day.notes } : day));
+
+    await tripRevisionService.ensureBaseline(trip._id);
+    // Whole arrays are written from the trip as it was read, so this only applies if nobody changed it since
+    const updatedTrip = await Trip.findOneAndUpdate(
+      { _id: trip._id, updatedAt: trip.updatedAt },
+      {
+        $set: {
+          'generatedRoute.legs': simulation.legs,
+          'generatedRoute.waypoints': simulation.waypoints,
+          'generatedRoute.chargingStations': simulation.chargingStations,
+          'generatedRoute.hotels': hotels,
+          chargeSimulation: simulation.summary,
+          'costEstimate.charging': chargingCost,
+          'itinerary.days': days,
+          updatedAt: Date.now()
+        }
+      },
+      { new: true }
+    ).select('-__v');
+
+    if (!updatedTrip) {
+      if (!await Trip.exists({ _id: trip._id })) {
+        throw new Error('Trip was deleted during regeneration');
+      }
+      throw new TripChangedError();
+    }
+
+    const revision = await tripRevisionService.record(updatedTrip, { userId, reason: 'day_regeneration' });
+
+    return {
+      trip: updatedTrip,
+      day: updatedTrip.itinerary.days.find(day => day.day === dayNumber),
+      stationVerification,
+      revision
+    };
+  }
+
+  // What is fixed about a day and what it holds now, as the AI is told about it
+  buildFrame(trip, dayNumber) {
+    const { generatedRoute: route } = trip;
+    const legs = route.legs.filter(leg => leg.day === dayNumber);
+    const current = trip.itinerary.days.find(day => day.day === dayNumber);
+
+    return {
+      day: dayNumber,
+      date: tripDayDate(trip.tripDetails.startDate, dayNumber).toISOString().split('T')[0],
+      from: legs[0].from,
+      to: legs[legs.length - 1].to,
+      distance: itineraryService.round(legs.reduce((sum, leg) => sum + (leg.distance || 0), 0)),
+      legs,
+      chargingStops: route.waypoints
+        .map((waypoint, index) => ({ ...waypoint, waypointIndex: index }))
+        .filter(waypoint => waypoint.day === dayNumber && waypoint.chargingStationRequired &&
+          hasCoordinates(waypoint.coordinates))
+        .map(waypoint => ({
+          waypointIndex: waypoint.waypointIndex,
+          location: waypoint.location,
+          coordinates: waypoint.coordinates
+        })),
+      lastDay: dayNumber === Math.max(...route.legs.map(leg => leg.day)),
+      current: {
+        hotel: current?.hotel?.name,
+        chargingStations: (current?.chargingStops || []).map(stop => stop.name).filter(Boolean),
+        attractions: (current?.attractions || []).map(attraction => attraction.name)
+      }
+    };
+  }
+
+  // Verify the chargers suggested for the day's charging stops and put them in place of the
+  // current ones; stops without a usable suggestion keep the charger they have
+  async replaceDayStations(route, frame, aiDay, tripDetails) {
+    const chargeIndexes = frame.chargingStops.map(stop => stop.waypointIndex);
+    const current = route.chargingStations || [];
+
+    if (chargeIndexes.length === 0 || aiDay.chargingStations.length === 0) {
+      return { chargingStations: current, stationVerification: null };
+    }
+
+    // Suggestions without coordinates are taken in the order of this day's stops
+    const suggested = chargeSimulationService.assignStationsToWaypoints(
+      route.waypoints,
+      aiDay.chargingStations.map((station, ordinal) => (hasCoordinates(station.coordinates)
+        ? station
+        : { ...station, waypointIndex: chargeIndexes[ordinal] ?? null }))
+    ).filter(station => chargeIndexes.includes(station.waypointIndex));
+
+    const verified = chargingStationService.buildVerifiedStations(
+      await chargingStationService.verifyRecommendedStations({
+        stations: suggested,
+        waypoints: route.waypoints,
+        connectorPreferences: tripDetails.connectorPreferences
+      })
+    );
+
+    const replaced = new Set(verified.stations.map(station => station.waypointIndex));
+    return {
+      chargingStations: [
+        ...current.filter(station => !replaced.has(station.waypointIndex)),
+        ...verified.stations
+      ].sort((a, b) => (a.waypointIndex ?? Infinity) - (b.waypointIndex ?? Infinity)),
+      stationVerification: verified.summary
+    };
+  }
+}
+
+module.exports = new DayRegenerationService();
+module.exports.TripChangedError = TripChangedError;
@@ -27,5 +27,33 @@ exports.sendResetEmail = async (email, token) => {
     `
   };
 
+  await transporter.sendMail(mailOptions);
+};
+
+// Names and trip titles are user input
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+exports.sendTripInvitationEmail = async (email, { inviterName, tripName, role, expiresInDays }) => {
+  const invitationsUrl = 'http://localhost:3000/invitations';
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `${inviterName} invited you to a trip`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #F96C41;">Trip Invitation</h2>
+        <p>${escapeHtml(inviterName)} invited you to join the trip <strong>${escapeHtml(tripName)}</strong> as ${role === 'editor' ? 'an editor' : 'a viewer'}.</p>
+        <p><a href="${invitationsUrl}" style="background-color: #F96C41; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">View Invitation</a></p>
+        <p>Sign in or create an account with this email address to accept or decline.</p>
+        <p>This invitation will expire in ${expiresInDays} days.</p>
+      </div>
+    `
+  };
+
   await transporter.sendMail(mailOptions);
 };
\ No newline at end of file
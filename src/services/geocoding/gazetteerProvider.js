@@ -0,0 +1,149 @@
+// src/services/geocoding/gazetteerProvider.js
+const fs = require('fs');
+const path = require('path');
+
+// Column positions in the GeoNames cities files (cities500.txt, cities15000.txt, ...)
+const COLUMNS = {
+  id: 0,
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  latitude: 4,
+  longitude: 5,
+  countryCode: 8,
+  admin1: 10,
+  population: 14
+};
+
+// Country qualifiers accepted after a comma, e.g. "Newport, Wales" or "Bergen, Norway"
+const COUNTRY_NAMES = {
+  germany: 'DE', deutschland: 'DE',
+  france: 'FR',
+  'united kingdom': 'GB', uk: 'GB', 'great britain': 'GB',
+  italy: 'IT', italia: 'IT',
+  spain: 'ES', espana: 'ES',
+  portugal: 'PT',
+  netherlands: 'NL', 'the netherlands': 'NL', holland: 'NL',
+  belgium: 'BE', belgique: 'BE', belgie: 'BE',
+  luxembourg: 'LU',
+  austria: 'AT', osterreich: 'AT',
+  switzerland: 'CH', schweiz: 'CH', suisse: 'CH',
+  'czech republic': 'CZ', czechia: 'CZ',
+  poland: 'PL', polska: 'PL',
+  hungary: 'HU',
+  denmark: 'DK', danmark: 'DK',
+  sweden: 'SE', sverige: 'SE',
+  norway: 'NO', norge: 'NO',
+  croatia: 'HR',
+  slovenia: 'SI',
+  slovakia: 'SK',
+  ireland: 'IE'
+};
+
+// Region qualifiers as GeoNames admin1 codes
+const REGION_NAMES = {
+  england: { country: 'GB', region: 'ENG' },
+  scotland: { country: 'GB', region: 'SCT' },
+  wales: { country: 'GB', region: 'WLS' },
+  'northern ireland': { country: 'GB', region: 'NIR' }
+};
+
+// Letters that do not decompose into a base letter plus diacritic
+const TRANSLITERATIONS = { '\u00df': 'ss', '\u00f8': 'o', '\u0142': 'l', '\u00e6': 'ae', '\u0111': 'd' };
+
+const normalizeName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[\u00df\u00f8\u0142\u00e6\u0111]/g, letter => TRANSLITERATIONS[letter])
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+class GazetteerProvider {
+  constructor() {
+    this.name = 'gazetteer';
+    // The bundled file is a European sample; point this at a full GeoNames export for wider coverage
+    this.file = process.env.GEOCODING_GAZETTEER_FILE ||
+      path.join(__dirname, '../../data/cities.tsv');
+    // A second place this much smaller than the first is not considered a real alternative
+    this.ambiguityRatio = 0.1;
+    this.index = null;
+  }
+
+  // Name index over names, ASCII names and alternate names, built once
+  load() {
+    if (this.index) return this.index;
+
+    const index = new Map();
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+
+    lines.forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+
+      const columns = line.split('\t');
+      const place = {
+        externalId: columns[COLUMNS.id],
+        name: columns[COLUMNS.name],
+        country: columns[COLUMNS.countryCode],
+        region: columns[COLUMNS.admin1] || undefined,
+        coordinates: {
+          latitude: parseFloat(columns[COLUMNS.latitude]),
+          longitude: parseFloat(columns[COLUMNS.longitude])
+        },
+        population: parseInt(columns[COLUMNS.population]) || 0
+      };
+      if (!Number.isFinite(place.coordinates.latitude) || !Number.isFinite(place.coordinates.longitude)) return;
+
+      const names = [
+        place.name,
+        columns[COLUMNS.asciiName],
+        ...(columns[COLUMNS.alternateNames] || '').split(',')
+      ];
+      new Set(names.map(normalizeName).filter(Boolean)).forEach(key => {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(place);
+      });
+    });
+
+    this.index = index;
+    return index;
+  }
+
+  // Split "Name, Qualifier" into the place name and optional country and region codes
+  parseQuery(query, country) {
+    const [placeName, ...qualifiers] = String(query).split(',');
+    let countryCode = country ? country.toUpperCase() : null;
+    let regionCode = null;
+
+    qualifiers.map(normalizeName).forEach(qualifier => {
+      if (REGION_NAMES[qualifier]) {
+        countryCode = REGION_NAMES[qualifier].country;
+        regionCode = REGION_NAMES[qualifier].region;
+      } else if (COUNTRY_NAMES[qualifier]) {
+        countryCode = COUNTRY_NAMES[qualifier];
+      } else if (/^[a-z]{2}$/.test(qualifier)) {
+        countryCode = qualifier.toUpperCase();
+      }
+    });
+
+    return { key: normalizeName(placeName), countryCode, regionCode };
+  }
+
+  async search(query, { country, limit = 5 } = {}) {
+    const { key, countryCode, regionCode } = this.parseQuery(query, country);
+    const matches = (this.load().get(key) || [])
+      .filter(place => !countryCode || place.country === countryCode)
+      .filter(place => !regionCode || place.region === regionCode)
+      .sort((a, b) => b.population - a.population);
+
+    const largest = matches[0]?.population || 1;
+    return matches.slice(0, limit).map(place => ({
+      ...place,
+      score: place.population / largest,
+      source: this.name
+    }));
+  }
+}
+
+module.exports = new GazetteerProvider();
+module.exports.normalizeName = normalizeName;
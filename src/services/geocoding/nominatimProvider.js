@@ -0,0 +1,75 @@
+// src/services/geocoding/nominatimProvider.js
+const axios = require('axios');
+
+class NominatimProvider {
+  constructor() {
+    this.name = 'nominatim';
+    // Remote results carry an importance score; close scores mean a real choice between places
+    this.ambiguityRatio = 0.8;
+
+    this.api = axios.create({
+      baseURL: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+      timeout: 10000,
+      headers: {
+        // The public Nominatim usage policy requires an identifying user agent
+        'User-Agent': process.env.NOMINATIM_USER_AGENT || 'EVF-Trip-Planner/1.0'
+      }
+    });
+
+    // The public usage policy allows one request per second, so requests wait their turn even when a
+    // trip geocodes several places at once. A self-hosted instance can lower this.
+    const interval = parseInt(process.env.NOMINATIM_REQUEST_INTERVAL_MS);
+    this.requestInterval = Number.isFinite(interval) ? interval : 1000;
+    this.queue = Promise.resolve();
+    this.lastRequestAt = 0;
+  }
+
+  async search(query, { country, limit = 5 } = {}) {
+    const response = await this.throttled(() => this.api.get('/search', {
+      params: {
+        q: query,
+        format: 'jsonv2',
+        addressdetails: 1,
+        limit,
+        ...(country && { countrycodes: country.toLowerCase() })
+      }
+    }));
+
+    const results = Array.isArray(response.data) ? response.data : [];
+    const best = results[0]?.importance || 1;
+
+    return results.map(result => ({
+      externalId: `${result.osm_type}/${result.osm_id}`,
+      name: result.name || result.display_name.split(',')[0],
+      displayName: result.display_name,
+      country: result.address?.country_code?.toUpperCase(),
+      region: result.address?.state,
+      coordinates: {
+        latitude: parseFloat(result.lat),
+        longitude: parseFloat(result.lon)
+      },
+      score: (result.importance || 0) / best,
+      source: this.name
+    }));
+  }
+
+  // Runs requests one at a time, each starting at least requestInterval after the last one ended
+  throttled(request) {
+    const run = this.queue.then(async () => {
+      const wait = this.lastRequestAt + this.requestInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      try {
+        return await request();
+      } finally {
+        this.lastRequestAt = Date.now();
+      }
+    });
+    // A failed request must not stop the ones queued after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = new NominatimProvider();
@@ -0,0 +1,173 @@
+// src/services/geocodingService.js
+const GeocodeCache = require('../models/GeocodeCache');
+const gazetteerProvider = require('./geocoding/gazetteerProvider');
+const nominatimProvider = require('./geocoding/nominatimProvider');
+const { hasCoordinates, haversineDistance } = require('../utils/geoUtils');
+
+class GeocodingService {
+  constructor() {
+    // Every provider exposes name, ambiguityRatio and search(query, { country, limit })
+    this.providers = {
+      gazetteer: gazetteerProvider,
+      nominatim: nominatimProvider
+    };
+    this.providerName = process.env.GEOCODING_PROVIDER || 'gazetteer';
+    this.candidateLimit = 5;
+    this.cacheTtlDays = { resolved: 30, ambiguous: 30, not_found: 1 };
+    // Results this close together are the same place reported twice (e.g. a town and its boundary)
+    this.duplicateRadius = 5; // km
+  }
+
+  getProvider(name = this.providerName) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new Error(`Unknown geocoding provider: ${name}`);
+    }
+    return provider;
+  }
+
+  // Resolve a place name to { status: resolved|ambiguous|not_found, location, candidates }
+  async geocode(query, { country } = {}) {
+    let provider = this.getProvider();
+
+    const cached = await this.readCache(provider.name, query, country);
+    if (cached) {
+      return {
+        query,
+        status: cached.status,
+        location: cached.location || undefined,
+        candidates: cached.candidates,
+        source: 'cache'
+      };
+    }
+
+    let candidates;
+    try {
+      candidates = await provider.search(query, { country, limit: this.candidateLimit });
+    } catch (error) {
+      // A remote provider being down should not stop trips from being planned
+      if (provider === gazetteerProvider) throw error;
+      console.error(`Geocoding via ${provider.name} failed, using gazetteer:`, error.message);
+      provider = gazetteerProvider;
+      candidates = await provider.search(query, { country, limit: this.candidateLimit });
+    }
+
+    const result = this.classify(this.removeDuplicates(candidates), provider.ambiguityRatio);
+    await this.writeCache(provider.name, query, country, result);
+
+    return { query, ...result, source: provider.name };
+  }
+
+  classify(candidates, ambiguityRatio) {
+    if (candidates.length === 0) {
+      return { status: 'not_found', candidates: [] };
+    }
+
+    const [best, runnerUp] = candidates;
+    if (runnerUp && runnerUp.score >= best.score * ambiguityRatio) {
+      return { status: 'ambiguous', candidates };
+    }
+
+    return { status: 'resolved', location: best, candidates };
+  }
+
+  removeDuplicates(candidates) {
+    return candidates.filter((candidate, index) =>
+      !candidates.slice(0, index).some(previous =>
+        previous.country === candidate.country &&
+        haversineDistance(previous.coordinates, candidate.coordinates) < this.duplicateRadius
+      )
+    );
+  }
+
+  // Fill missing coordinates for the from, stop and destination fields.
+  // A renamed place whose coordinates did not change is geocoded again.
+  async resolveTripLocations(tripDetails, previousDetails = null) {
+    const resolved = { ...tripDetails };
+    const unresolved = [];
+
+    const resolveField = async (field, name, coordinates, previousName, previousCoordinates) => {
+      const isStale = previousName !== undefined && name !== previousName &&
+        this.sameCoordinates(coordinates, previousCoordinates);
+      if (!name || (hasCoordinates(coordinates) && !isStale)) {
+        return coordinates;
+      }
+
+      const result = await this.geocode(name);
+      if (result.status === 'resolved') {
+        return {
+          latitude: result.location.coordinates.latitude,
+          longitude: result.location.coordinates.longitude
+        };
+      }
+
+      unresolved.push({
+        field,
+        query: name,
+        status: result.status,
+        candidates: result.candidates
+      });
+      return undefined;
+    };
+
+    resolved.fromCoordinates = await resolveField(
+      'fromLocation',
+      tripDetails.fromLocation,
+      tripDetails.fromCoordinates,
+      previousDetails?.fromLocation,
+      previousDetails?.fromCoordinates
+    );
+
+    resolved.toCoordinates = await resolveField(
+      'toDestination',
+      tripDetails.toDestination,
+      tripDetails.toCoordinates,
+      previousDetails?.toDestination,
+      previousDetails?.toCoordinates
+    );
+
+    if (Array.isArray(tripDetails.stops)) {
+      resolved.stops = [];
+      for (const [index, stop] of tripDetails.stops.entries()) {
+        const previousStop = previousDetails?.stops?.[index];
+        resolved.stops.push({
+          ...stop,
+          coordinates: await resolveField(
+            `stops[${index}].location`,
+            stop.location,
+            stop.coordinates,
+            previousStop?.location,
+            previousStop?.coordinates
+          )
+        });
+      }
+    }
+
+    return { tripDetails: resolved, unresolved };
+  }
+
+  sameCoordinates(a, b) {
+    return hasCoordinates(a) && hasCoordinates(b) &&
+      a.latitude === b.latitude && a.longitude === b.longitude;
+  }
+
+  // The cache is an optimisation; lookups keep working when it is unavailable
+  async readCache(provider, query, country) {
+    try {
+      return await GeocodeCache.findValid(provider, query, country);
+    } catch (error) {
+      console.error('Geocode cache read error:', error.message);
+      return null;
+    }
+  }
+
+  async writeCache(provider, query, country, result) {
+    try {
+      await GeocodeCache.store(provider, query, country, result, this.cacheTtlDays[result.status]);
+    } catch (error) {
+      console.error('Geocode cache write error:', error.message);
+    }
+  }
+}
+
+module.exports = new GeocodingService();
@@ -20,6 +20,11 @@ class HotelService {
         'User-Agent': 'EVF-Trip-Planner/1.0'
       }
     });
+
+    // HOTEL_VERIFICATION=off keeps the AI's hotels unverified instead of asking TSS, for working
+    // offline; it is off by default with the mock AI provider, whose hotels TSS would not know
+    const verification = process.env.HOTEL_VERIFICATION || (process.env.AI_PROVIDER === 'mock' ? 'off' : 'on');
+    this.verificationEnabled = verification !== 'off';
   }
 
   // Search hotels by location and dates
@@ -205,6 +210,76 @@ class HotelService {
     return results;
   }
 
+  // Verify GPT-recommended hotels night by night and return trip hotel entries
+  // onVerified(hotel, index) is awaited after each hotel, for callers that report progress
+  async verifyAndSearchHotels(hotels, tripDetails, onVerified = null) {
+    const tripHotels = [];
+
+    for (const [index, recommendedHotel] of hotels.entries()) {
+      const results = this.verificationEnabled
+        ? await this.verifyRecommendedHotels({
+          hotels: [recommendedHotel],
+          location: recommendedHotel.location,
+          checkIn: recommendedHotel.checkIn,
+          checkOut: recommendedHotel.checkOut
+        })
+        : { verified: [], alternatives: [] };
+
+      const match = results.verified[0];
+      const alternatives = results.alternatives[0]?.alternatives || [];
+      const chosen = match ? match.verified : alternatives[0];
+
+      tripHotels.push({
+        name: chosen?.name || recommendedHotel.name,
+        location: recommendedHotel.location,
+        checkIn: recommendedHotel.checkIn,
+        checkOut: recommendedHotel.checkOut,
+        verified: Boolean(match),
+        hotelId: chosen?.id,
+        price: chosen?.price,
+        rooms: tripDetails.rooms || 1,
+        confidence: match ? match.confidence : 0
+      });
+
+      if (onVerified) {
+        await onVerified(tripHotels[index], index);
+      }
+    }
+
+    return tripHotels;
+  }
+
+  // Price of a stay: quoted search price when known, live availability pricing otherwise
+  async getStayPrice({ hotelId, checkIn, checkOut, rooms = 1, guests = 1, quotedPrice }) {
+    const nights = Math.max(1, Math.round((new Date(checkOut) - new Date(checkIn)) / (24 * 60 * 60 * 1000)));
+
+    if (quotedPrice && (quotedPrice.amount || quotedPrice.perNight)) {
+      return {
+        amount: (quotedPrice.amount || quotedPrice.perNight * nights) * rooms,
+        currency: quotedPrice.currency || 'EUR',
+        nights,
+        source: 'quote'
+      };
+    }
+
+    if (!hotelId) {
+      return null;
+    }
+
+    const availability = await this.checkHotelAvailability({ hotelId, checkIn, checkOut, rooms, guests });
+    const total = availability.pricing.total || availability.pricing.amount;
+    if (!availability.available || !total) {
+      return null;
+    }
+
+    return {
+      amount: total,
+      currency: availability.pricing.currency || 'EUR',
+      nights,
+      source: 'availability'
+    };
+  }
+
   // Search for hotel by name
   async searchHotelByName({ hotelName, location, checkIn, checkOut }) {
     try {
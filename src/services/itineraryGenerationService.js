@@ -0,0 +1,318 @@
+// src/services/itineraryGenerationService.js
+const Trip = require('../models/Trip');
+const ItineraryJob = require('../models/ItineraryJob');
+const aiService = require('./aiService');
+const hotelService = require('./hotelService');
+const routePlanningService = require('./routePlanningService');
+const chargeSimulationService = require('./chargeSimulationService');
+const chargingStationService = require('./chargingStationService');
+const chargingCostService = require('./chargingCostService');
+const itineraryService = require('./itineraryService');
+const tripStatusService = require('./tripStatusService');
+const tripRevisionService = require('./tripRevisionService');
+
+// Pipeline steps in order, weighted by how long they usually take
+const STEPS = [
+  { name: 'ai_generation', weight: 45 },
+  { name: 'parsing', weight: 5 },
+  { name: 'hotel_verification', weight: 25 },
+  { name: 'station_verification', weight: 10 },
+  { name: 'charge_simulation', weight: 5 },
+  { name: 'saving', weight: 10 }
+];
+
+class ItineraryJobConflictError extends Error {
+  constructor(jobId) {
+    super('An itinerary is already being generated for this trip');
+    this.name = 'ItineraryJobConflictError';
+    this.details = { jobId };
+  }
+}
+
+class ItineraryGenerationService {
+  constructor() {
+    // An active job that has not reported progress for this long is treated as dead
+    this.staleAfterMinutes = 15;
+  }
+
+  // Plan the route up front so bad trip input fails the request, then take the trip's job lock.
+  // Resolves with the stored job and the route plan it will use.
+  async createJob(trip, userId) {
+    const vehicleProfile = await chargeSimulationService.getVehicleProfile(trip.tripDetails);
+    const routePlan = routePlanningService.planTrip(trip.tripDetails, { vehicle: vehicleProfile });
+
+    await ItineraryJob.releaseStale(trip._id, this.staleAfterMinutes);
+
+    try {
+      const job = await ItineraryJob.create({
+        tripId: trip._id,
+        userId,
+        steps: STEPS.map(step => ({ name: step.name }))
+      });
+      return { job, routePlan };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const activeJob = await ItineraryJob.findOne({ tripId: trip._id, active: true }).select('_id');
+      throw new ItineraryJobConflictError(activeJob?._id);
+    }
+  }
+
+  // Queue generation in the background; resolves with the job as soon as it is stored
+  async start(trip, userId) {
+    const { job, routePlan } = await this.createJob(trip, userId);
+
+    setImmediate(() => {
+      this.run(job._id, trip, routePlan, userId).catch(error => {
+        console.error(`Itinerary job ${job._id} crashed:`, error);
+      });
+    });
+
+    return job;
+  }
+
+  // Runs every step, recording progress on the job; failures end the job rather than throw.
+  // A listener gets step, day and hotel events as they happen and streams the AI response;
+  // aborting its signal stops the job before anything is written to the trip.
+  async run(jobId, trip, routePlan, userId, listener = {}) {
+    const { emit = () => {}, signal } = listener;
+    const checkAborted = () => {
+      if (signal?.aborted) {
+        const error = new Error('Client disconnected before the itinerary was saved');
+        error.code = 'CLIENT_DISCONNECTED';
+        throw error;
+      }
+    };
+
+    try {
+      await this.updateJob(jobId, { status: 'running', startedAt: new Date() });
+
+      console.log('Generating AI itinerary for trip:', trip._id);
+      const response = await this.step(jobId, 'ai_generation', emit, () => (listener.emit
+        ? aiService.streamItinerary(trip, routePlan, { onDay: day => emit('day', day), signal })
+        : aiService.requestItinerary(trip, routePlan)
+      ));
+      checkAborted();
+
+      // Invalid output is sent back for repair a few times before the job fails
+      const aiItinerary = await this.step(jobId, 'parsing', emit, () =>
+        aiService.validItinerary(trip, routePlan, response)
+      );
+
+      let verifiedHotels = [];
+      if (trip.tripDetails.hotelRequired && aiItinerary.hotels.length > 0) {
+        verifiedHotels = await this.step(jobId, 'hotel_verification', emit, () =>
+          hotelService.verifyAndSearchHotels(aiItinerary.hotels, trip.tripDetails, (hotel, index) => {
+            checkAborted();
+            emit('hotel', { index, total: aiItinerary.hotels.length, hotel });
+          })
+        );
+      } else {
+        await this.skipStep(jobId, 'hotel_verification', emit, 'No hotels needed');
+      }
+      checkAborted();
+
+      // Check suggested charging stations against the station catalog
+      const verifiedStations = await this.step(jobId, 'station_verification', emit, async () => {
+        const stationResults = await chargingStationService.verifyRecommendedStations({
+          stations: chargeSimulationService.assignStationsToWaypoints(
+            routePlan.waypoints,
+            aiItinerary.chargingStations
+          ),
+          waypoints: routePlan.waypoints,
+          connectorPreferences: trip.tripDetails.connectorPreferences
+        });
+        return chargingStationService.buildVerifiedStations(stationResults);
+      });
+
+      // Predict battery charge at every waypoint and charger
+      const simulation = await this.step(jobId, 'charge_simulation', emit, () =>
+        chargeSimulationService.simulateTrip({
+          tripDetails: trip.tripDetails,
+          generatedRoute: {
+            legs: routePlan.legs,
+            waypoints: routePlan.waypoints,
+            chargingStations: verifiedStations.stations
+          }
+        })
+      );
+
+      // Last point to stop; the trip is then written in one update
+      checkAborted();
+      const saved = await this.step(jobId, 'saving', emit, () =>
+        this.saveItinerary(trip, { routePlan, aiItinerary, verifiedHotels, verifiedStations, simulation, userId })
+      );
+
+      const result = {
+        revision: saved.revision?.revision,
+        connectorWarnings: this.connectorWarnings(verifiedStations),
+        aiResponse: aiItinerary.rawResponse
+      };
+      await this.updateJob(jobId, {
+        status: 'succeeded',
+        active: false,
+        progress: 100,
+        currentStep: 'done',
+        result,
+        finishedAt: new Date()
+      });
+      emit('complete', {
+        jobId,
+        trip: saved.trip,
+        revision: result.revision,
+        connectorWarnings: result.connectorWarnings
+      });
+
+    } catch (error) {
+      console.error(`Itinerary job ${jobId} failed:`, error.message);
+      const jobError = {
+        message: error.message,
+        code: signal?.aborted ? 'CLIENT_DISCONNECTED' : error.code || error.name,
+        details: error.details
+      };
+      await this.updateJob(jobId, {
+        status: 'failed',
+        active: false,
+        error: jobError,
+        finishedAt: new Date()
+      });
+      // Not 'error', which EventSource clients already fire for connection problems
+      emit('failed', { jobId, ...jobError });
+    }
+  }
+
+  async saveItinerary(trip, { routePlan, aiItinerary, verifiedHotels, verifiedStations, simulation, userId }) {
+    const chargingCost = chargingCostService.estimateChargingCost({
+      waypoints: simulation.waypoints,
+      chargingStations: simulation.chargingStations,
+      currency: trip.tripDetails.currency
+    });
+
+    const days = itineraryService.buildDays({
+      tripDetails: trip.tripDetails,
+      legs: simulation.legs,
+      waypoints: simulation.waypoints,
+      hotels: verifiedHotels,
+      chargingStations: simulation.chargingStations,
+      aiDays: aiItinerary.days
+    });
+
+    await tripRevisionService.ensureBaseline(trip._id);
+    // Only applies if nobody changed the trip since generation started, so their edits are not lost
+    let updatedTrip = await Trip.findOneAndUpdate(
+      { _id: trip._id, updatedAt: trip.updatedAt },
+      {
+        $set: {
+          generatedRoute: {
+            totalDistance: routePlan.totalDistance,
+            totalDuration: routePlan.totalDuration,
+            legs: simulation.legs,
+            waypoints: simulation.waypoints,
+            hotels: verifiedHotels,
+            chargingStations: simulation.chargingStations,
+            stationVerification: verifiedStations.summary
+          },
+          chargeSimulation: simulation.summary,
+          'costEstimate.charging': chargingCost,
+          itinerary: {
+            days,
+            generatedAt: new Date()
+          },
+          aiGenerated: true,
+          updatedAt: Date.now()
+        }
+      },
+      { new: true }
+    ).select('-__v');
+
+    if (!updatedTrip) {
+      if (!await Trip.exists({ _id: trip._id })) {
+        throw new Error('Trip was deleted during generation');
+      }
+      const error = new Error('The trip was changed while the itinerary was generated, generate it again to include the changes');
+      error.code = 'TRIP_CHANGED';
+      throw error;
+    }
+
+    // A first route makes a draft planned; later regenerations leave the status alone
+    if (updatedTrip.status === 'draft') {
+      updatedTrip = await tripStatusService.transition(updatedTrip, 'planned', {
+        userId,
+        reason: 'Itinerary generated'
+      });
+    }
+    const revision = await tripRevisionService.record(updatedTrip, { userId, reason: 'ai_generation' });
+    return { trip: updatedTrip, revision };
+  }
+
+  // Stations that need an adapter or were dropped for their connectors
+  connectorWarnings(verifiedStations) {
+    return [
+      ...verifiedStations.stations
+        .filter(station => station.compatibility && station.compatibility.status !== 'compatible')
+        .map(station => ({
+          name: station.name,
+          status: station.compatibility.status,
+          connectors: station.compatibility.connectors
+        })),
+      ...verifiedStations.summary.dropped
+        .filter(station => /connector/i.test(station.reason))
+        .map(station => ({
+          name: station.name,
+          status: 'incompatible',
+          reason: station.reason
+        }))
+    ];
+  }
+
+  async step(jobId, name, emit, work) {
+    const index = STEPS.findIndex(step => step.name === name);
+    emit('step', { name, status: 'running', progress: this.progressAfter(index - 1) });
+    await this.updateJob(jobId, {
+      currentStep: name,
+      [`steps.${index}.status`]: 'running',
+      [`steps.${index}.startedAt`]: new Date()
+    });
+
+    try {
+      const result = await work();
+      await this.updateJob(jobId, {
+        progress: this.progressAfter(index),
+        [`steps.${index}.status`]: 'done',
+        [`steps.${index}.finishedAt`]: new Date()
+      });
+      emit('step', { name, status: 'done', progress: this.progressAfter(index) });
+      return result;
+    } catch (error) {
+      await this.updateJob(jobId, {
+        [`steps.${index}.status`]: 'failed',
+        [`steps.${index}.message`]: error.message,
+        [`steps.${index}.finishedAt`]: new Date()
+      });
+      throw error;
+    }
+  }
+
+  async skipStep(jobId, name, emit, message) {
+    const index = STEPS.findIndex(step => step.name === name);
+    await this.updateJob(jobId, {
+      progress: this.progressAfter(index),
+      [`steps.${index}.status`]: 'skipped',
+      [`steps.${index}.message`]: message
+    });
+    emit('step', { name, status: 'skipped', progress: this.progressAfter(index) });
+  }
+
+  // Percentage done once the step at index has finished
+  progressAfter(index) {
+    const total = STEPS.reduce((sum, step) => sum + step.weight, 0);
+    const done = STEPS.slice(0, index + 1).reduce((sum, step) => sum + step.weight, 0);
+    return Math.round(done / total * 100);
+  }
+
+  updateJob(jobId, fields) {
+    return ItineraryJob.updateOne({ _id: jobId }, { $set: { ...fields, updatedAt: Date.now() } });
+  }
+}
+
+module.exports = new ItineraryGenerationService();
+module.exports.ItineraryJobConflictError = ItineraryJobConflictError;
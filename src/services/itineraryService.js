@@ -0,0 +1,85 @@
+// src/services/itineraryService.js
+const { tripDayDate, dayOfTrip } = require('../utils/dateUtils');
+
+class ItineraryService {
+  // One entry per driving day: planned legs, charging, hotel and the AI's notes for the day
+  buildDays({ tripDetails, legs = [], waypoints = [], hotels = [], chargingStations = [], aiDays = [] }) {
+    const dayNumbers = [...new Set(legs.map(leg => leg.day))].sort((a, b) => a - b);
+
+    return dayNumbers.map(dayNumber => {
+      const dayLegs = legs.filter(leg => leg.day === dayNumber);
+      const firstLeg = dayLegs[0];
+      const lastLeg = dayLegs[dayLegs.length - 1];
+      const aiDay = aiDays.find(day => Number(day.day) === dayNumber);
+
+      const hotelIndex = hotels.findIndex(hotel => dayOfTrip(tripDetails.startDate, hotel.checkIn) === dayNumber);
+      const hotel = hotels[hotelIndex];
+
+      return {
+        day: dayNumber,
+        date: tripDayDate(tripDetails.startDate, dayNumber),
+        from: firstLeg.from,
+        to: lastLeg.to,
+        distance: this.round(dayLegs.reduce((sum, leg) => sum + (leg.distance || 0), 0)),
+        driveTime: dayLegs.reduce((sum, leg) => sum + (leg.duration || 0), 0),
+        endsWith: lastLeg.endsWith,
+        hotel: hotel ? {
+          hotelIndex,
+          hotelId: hotel.hotelId,
+          name: hotel.name,
+          location: hotel.location,
+          verified: hotel.verified
+        } : undefined,
+        chargingStops: this.chargingStopsForDay(dayNumber, waypoints, chargingStations),
+        summary: aiDay?.summary,
+        attractions: aiDay?.attractions || [],
+        notes: ''
+      };
+    });
+  }
+
+  // Re-simulated charging replaces each day's stops; traveler edits are kept
+  refreshChargingStops(days, waypoints, chargingStations) {
+    return days.map(day => ({
+      ...day,
+      chargingStops: this.chargingStopsForDay(day.day, waypoints, chargingStations)
+    }));
+  }
+
+  // Point each day's hotel back at its position after generatedRoute.hotels changed
+  refreshHotelIndexes(days, hotels, startDate) {
+    return days.map(day => {
+      if (!day.hotel?.name) return day;
+      const hotelIndex = hotels.findIndex(hotel => dayOfTrip(startDate, hotel.checkIn) === day.day);
+      return { ...day, hotel: { ...day.hotel, hotelIndex } };
+    });
+  }
+
+  chargingStopsForDay(dayNumber, waypoints, chargingStations) {
+    const stops = [];
+
+    waypoints.forEach((waypoint, index) => {
+      if (waypoint.day !== dayNumber || !(waypoint.chargeTime > 0)) return;
+
+      const station = chargingStations.find(candidate => candidate.waypointIndex === index);
+      stops.push({
+        waypointIndex: index,
+        stationId: station?.stationId,
+        name: station?.name,
+        location: station?.location || waypoint.location,
+        arrivalSoc: waypoint.arrivalSoc,
+        departureSoc: waypoint.departureSoc,
+        chargeTime: waypoint.chargeTime,
+        overnight: Boolean(waypoint.overnight || waypoint.purpose === 'overnight')
+      });
+    });
+
+    return stops;
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = new ItineraryService();
@@ -0,0 +1,183 @@
+// src/services/rangeModelService.js
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance, roadDistance, sampleRoute } = require('../utils/geoUtils');
+
+const GRAVITY = 9.81; // m/s^2
+const JOULES_PER_KWH = 3.6e6;
+
+class RangeModelService {
+  constructor() {
+    this.modelFile = process.env.RANGE_MODEL_FILE ||
+      path.join(__dirname, '../config/rangeModel.json');
+    this.elevationFile = process.env.ELEVATION_PROFILE_FILE ||
+      path.join(__dirname, '../data/elevationProfile.json');
+    this.model = null;
+    this.elevationPoints = null;
+    // Elevation profile points further away than this are not used for interpolation
+    this.elevationSearchRadius = 150; // km
+  }
+
+  getModel() {
+    if (!this.model) {
+      const model = JSON.parse(fs.readFileSync(this.modelFile, 'utf8'));
+      if (!Array.isArray(model.regions) || !Array.isArray(model.temperatureFactors) ||
+        !Array.isArray(model.speedFactors)) {
+        throw new Error(`Invalid range model file: ${this.modelFile}`);
+      }
+      this.model = model;
+    }
+    return this.model;
+  }
+
+  getElevationPoints() {
+    if (!this.elevationPoints) {
+      const profile = JSON.parse(fs.readFileSync(this.elevationFile, 'utf8'));
+      if (!Array.isArray(profile.points)) {
+        throw new Error(`Invalid elevation profile file: ${this.elevationFile}`);
+      }
+      this.elevationPoints = profile.points;
+    }
+    return this.elevationPoints;
+  }
+
+  // Range on the road between two points, with the factors that produced it
+  assessStretch({ from, to, date, ratedRange, cruisingSpeed, vehicle = {} }) {
+    const model = this.getModel();
+    const speed = cruisingSpeed || model.defaultCruisingSpeed;
+    const month = new Date(date || Date.now()).getMonth();
+    const midpoint = {
+      latitude: (from.latitude + to.latitude) / 2,
+      longitude: (from.longitude + to.longitude) / 2
+    };
+
+    const elevation = this.elevationProfile(from, to);
+    const region = this.findRegion(midpoint);
+    // Regional tables are for low ground; it is colder higher up
+    const temperature = region.monthlyTemperature[month] -
+      (elevation.averageElevation || 0) * model.temperatureLapseRate;
+
+    const temperatureFactor = this.interpolateFactor(model.temperatureFactors, 'temperature', temperature);
+    const speedFactor = this.interpolateFactor(model.speedFactors, 'speed', speed);
+    const elevationFactor = this.elevationFactor({
+      distance: roadDistance(from, to),
+      elevation,
+      vehicle,
+      drivingFactor: temperatureFactor * speedFactor
+    });
+
+    const factor = Math.min(model.maxFactor, temperatureFactor * speedFactor * elevationFactor);
+
+    return {
+      ratedRange,
+      adjustedRange: this.round(ratedRange * factor),
+      factor: this.round(factor, 3),
+      month: month + 1,
+      region: region.name,
+      temperature: this.round(temperature),
+      temperatureFactor: this.round(temperatureFactor, 3),
+      cruisingSpeed: speed,
+      speedFactor: this.round(speedFactor, 3),
+      elevationGain: elevation.gain,
+      elevationLoss: elevation.loss,
+      elevationFactor: this.round(elevationFactor, 3),
+      elevationSource: elevation.available ? 'profile' : 'unavailable'
+    };
+  }
+
+  // Share of range left after climbing, net of what regeneration wins back on the way down
+  elevationFactor({ distance, elevation, vehicle, drivingFactor }) {
+    if (!elevation.available || distance === 0) return 1;
+
+    const { elevation: settings } = this.getModel();
+    const mass = vehicle.mass || settings.defaultVehicleMass;
+
+    // kWh per km on flat ground in the same weather and at the same speed
+    const flatConsumption = (vehicle.consumption || settings.defaultConsumption) / 100 / drivingFactor;
+    const climbEnergy = mass * GRAVITY * elevation.gain / JOULES_PER_KWH / settings.drivetrainEfficiency;
+    const recoveredEnergy = mass * GRAVITY * elevation.loss / JOULES_PER_KWH * settings.regenEfficiency;
+
+    const flatEnergy = flatConsumption * distance;
+    // Long descents can at most halve the energy a stretch needs
+    return flatEnergy / Math.max(flatEnergy * 0.5, flatEnergy + climbEnergy - recoveredEnergy);
+  }
+
+  // Cumulative climb and descent along the straight line, sampled from the elevation profile
+  elevationProfile(from, to) {
+    const { elevation: settings } = this.getModel();
+    const elevations = sampleRoute([from, to], settings.sampleStepKm)
+      .map(point => this.elevationAt(point))
+      .filter(value => value !== null);
+
+    if (elevations.length < 2) {
+      return { available: false, gain: 0, loss: 0, averageElevation: null };
+    }
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i < elevations.length; i++) {
+      const change = elevations[i] - elevations[i - 1];
+      if (change > 0) gain += change;
+      else loss -= change;
+    }
+
+    return {
+      available: true,
+      gain: Math.round(gain),
+      loss: Math.round(loss),
+      averageElevation: elevations.reduce((sum, value) => sum + value, 0) / elevations.length
+    };
+  }
+
+  // Inverse distance weighted elevation from the nearest profile points, or null when none are near
+  elevationAt(point) {
+    const nearest = this.getElevationPoints()
+      .map(profilePoint => ({ elevation: profilePoint.elevation, distance: haversineDistance(point, profilePoint) }))
+      .filter(candidate => candidate.distance <= this.elevationSearchRadius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 4);
+
+    if (nearest.length === 0) return null;
+    if (nearest[0].distance < 1) return nearest[0].elevation;
+
+    let weightedSum = 0;
+    let weights = 0;
+    nearest.forEach(candidate => {
+      const weight = 1 / (candidate.distance * candidate.distance);
+      weightedSum += candidate.elevation * weight;
+      weights += weight;
+    });
+    return weightedSum / weights;
+  }
+
+  // First region whose bounds contain the point; a region without bounds matches anywhere
+  findRegion(point) {
+    const { regions } = this.getModel();
+    return regions.find(region => !region.bounds || (
+      point.latitude >= region.bounds.minLatitude && point.latitude < region.bounds.maxLatitude &&
+      point.longitude >= region.bounds.minLongitude && point.longitude < region.bounds.maxLongitude
+    )) || regions[regions.length - 1];
+  }
+
+  // Linear interpolation in a sorted table, clamped at both ends
+  interpolateFactor(table, key, value) {
+    if (value <= table[0][key]) return table[0].factor;
+
+    for (let i = 1; i < table.length; i++) {
+      if (value <= table[i][key]) {
+        const lower = table[i - 1];
+        const upper = table[i];
+        const fraction = (value - lower[key]) / (upper[key] - lower[key]);
+        return lower.factor + (upper.factor - lower.factor) * fraction;
+      }
+    }
+    return table[table.length - 1].factor;
+  }
+
+  round(value, decimals = 1) {
+    const scale = Math.pow(10, decimals);
+    return Math.round(value * scale) / scale;
+  }
+}
+
+module.exports = new RangeModelService();
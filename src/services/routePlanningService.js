@@ -0,0 +1,303 @@
+// src/services/routePlanningService.js
+const { hasCoordinates, roadDistance, interpolate } = require('../utils/geoUtils');
+const rangeModelService = require('./rangeModelService');
+
+// Tolerance when comparing distances, in kilometers
+const EPSILON = 0.01;
+
+class RoutePlanningError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'RoutePlanningError';
+    this.details = details;
+  }
+}
+
+class RoutePlanningService {
+  constructor() {
+    this.defaults = {
+      // Share of the EV range kept in reserve when placing charging stops
+      rangeBuffer: 0.1,
+      // Charge at an anchor point instead of just after it when less than this share of range is left
+      opportunisticChargeThreshold: 0.2,
+      // Assume the car is charged at the hotel overnight
+      chargeOvernight: true,
+      // Smallest range a trip may be planned with, the same floor trip validation puts on evRange
+      minimumUsableRange: 50, // km
+      averageSpeed: 85 // km/h
+    };
+  }
+
+  // Split a trip into ordered legs, charging stops and overnight breaks
+  planTrip(tripDetails, options = {}) {
+    const preferences = tripDetails.chargingPreferences || {};
+    const settings = {
+      ...this.defaults,
+      ...(preferences.arrivalReserve != null && { rangeBuffer: preferences.arrivalReserve / 100 }),
+      ...options
+    };
+    const anchors = this.buildAnchors(tripDetails);
+
+    const evRange = options.evRange || tripDetails.evRange;
+    const rangeLimit = evRange * (1 - settings.rangeBuffer);
+    const dailyLimit = options.maxDrivingDistance || tripDetails.maxDrivingDistance;
+
+    if (!(rangeLimit > 0) || !(dailyLimit > 0)) {
+      throw new RoutePlanningError('EV range and maximum driving distance must be positive', {
+        evRange: tripDetails.evRange,
+        maxDrivingDistance: tripDetails.maxDrivingDistance
+      });
+    }
+
+    const state = {
+      day: 1,
+      // A trip that starts with a partly charged battery needs its first charge sooner
+      sinceCharge: evRange * (100 - (preferences.startingCharge ?? 100)) / 100,
+      drivenToday: 0,
+      sinceWaypoint: 0,
+      chargingCount: 0,
+      overnightCount: 0
+    };
+
+    // Too little charge to reach a charger safely means charging before setting off
+    const chargeAtStart = rangeLimit - state.sinceCharge < rangeLimit * settings.opportunisticChargeThreshold;
+    const waypoints = [this.createWaypoint(anchors[0], 'start', state, 0, chargeAtStart)];
+    if (chargeAtStart) {
+      state.sinceCharge = 0;
+    }
+
+    const segmentDistances = anchors.slice(1).map((anchor, i) =>
+      roadDistance(anchors[i].coordinates, anchor.coordinates)
+    );
+    // Weather, speed and climbing change how far the battery goes on each stretch
+    const rangeAssumptions = anchors.slice(1).map((anchor, i) =>
+      rangeModelService.assessStretch({
+        from: anchors[i].coordinates,
+        to: anchor.coordinates,
+        date: tripDetails.startDate,
+        ratedRange: evRange,
+        cruisingSpeed: tripDetails.cruisingSpeed,
+        vehicle: options.vehicle
+      })
+    );
+    // A trip that only works at the nominal range would strand the car on its worst stretch
+    const lowestAdjustedRange = Math.min(...rangeAssumptions.map(assumption => assumption.adjustedRange));
+    const lowestUsableRange = lowestAdjustedRange * (1 - settings.rangeBuffer);
+    if (lowestUsableRange < settings.minimumUsableRange) {
+      const worst = rangeAssumptions.findIndex(assumption => assumption.adjustedRange === lowestAdjustedRange);
+      throw new RoutePlanningError(
+        `EV range drops to ${this.round(lowestAdjustedRange)} km between ${anchors[worst].location} and ` +
+        `${anchors[worst + 1].location}, too little to plan charging stops`,
+        {
+          evRange,
+          lowestAdjustedRange: this.round(lowestAdjustedRange),
+          lowestUsableRange: this.round(lowestUsableRange),
+          minimumUsableRange: settings.minimumUsableRange,
+          rangeAssumptions: rangeAssumptions[worst]
+        }
+      );
+    }
+
+    // Segment each waypoint was reached on, so legs can report the assumptions they used
+    const waypointSegments = [0];
+    let dailyTarget = this.balancedDailyDistance(anchors, segmentDistances, 0, dailyLimit);
+
+    for (let i = 1; i < anchors.length; i++) {
+      const from = anchors[i - 1];
+      const to = anchors[i];
+      const segmentDistance = segmentDistances[i - 1];
+      const { factor } = rangeAssumptions[i - 1];
+      let covered = 0;
+
+      while (segmentDistance - covered > EPSILON) {
+        const remaining = segmentDistance - covered;
+        const untilCharge = Math.max(0, rangeLimit - state.sinceCharge) * factor;
+        const untilNight = dailyTarget - state.drivenToday;
+        const step = Math.min(remaining, untilCharge, untilNight);
+
+        if (step >= remaining - EPSILON) {
+          this.advance(state, remaining, factor);
+          break;
+        }
+
+        this.advance(state, step, factor);
+        covered += step;
+
+        const point = {
+          coordinates: interpolate(from.coordinates, to.coordinates, covered / segmentDistance)
+        };
+
+        if (untilNight <= untilCharge) {
+          state.overnightCount += 1;
+          point.location = `Overnight stop ${state.overnightCount} en route to ${to.location}`;
+          waypoints.push(this.createWaypoint(point, 'overnight', state, state.sinceWaypoint));
+          waypointSegments.push(i - 1);
+          this.startNewDay(state, settings);
+        } else {
+          state.chargingCount += 1;
+          point.location = `Charging stop ${state.chargingCount} en route to ${to.location}`;
+          waypoints.push(this.createWaypoint(point, 'charging', state, state.sinceWaypoint, true));
+          waypointSegments.push(i - 1);
+          state.sinceCharge = 0;
+        }
+        state.sinceWaypoint = 0;
+      }
+
+      const isLast = i === anchors.length - 1;
+      const purpose = isLast ? 'destination' : 'stop';
+      const needsCharge = !isLast &&
+        rangeLimit - state.sinceCharge < rangeLimit * settings.opportunisticChargeThreshold;
+
+      waypoints.push(this.createWaypoint(to, purpose, state, state.sinceWaypoint, needsCharge));
+      waypointSegments.push(i - 1);
+      state.sinceWaypoint = 0;
+
+      if (needsCharge) {
+        state.sinceCharge = 0;
+      }
+      if (!isLast && to.overnight) {
+        this.startNewDay(state, settings);
+        dailyTarget = this.balancedDailyDistance(anchors, segmentDistances, i, dailyLimit);
+      }
+    }
+
+    const legs = this.buildLegs(waypoints, settings)
+      .map((leg, index) => ({ ...leg, rangeAssumptions: rangeAssumptions[waypointSegments[index + 1]] }));
+    const totalDistance = this.round(legs.reduce((sum, leg) => sum + leg.distance, 0));
+    const totalDuration = legs.reduce((sum, leg) => sum + leg.duration, 0);
+
+    return {
+      totalDistance,
+      totalDuration,
+      days: state.day,
+      legs,
+      waypoints,
+      chargingStops: waypoints.filter(waypoint => waypoint.chargingStationRequired),
+      overnightBreaks: waypoints.filter(waypoint => waypoint.purpose === 'overnight' ||
+        (waypoint.purpose === 'stop' && waypoint.overnight)),
+      limits: {
+        evRange,
+        usableRange: this.round(rangeLimit),
+        lowestAdjustedRange,
+        maxDrivingDistance: dailyLimit
+      }
+    };
+  }
+
+  // Spread the stretch up to the next overnight stop evenly over the days it needs
+  balancedDailyDistance(anchors, segmentDistances, startIndex, dailyLimit) {
+    let stretch = 0;
+    for (let i = startIndex + 1; i < anchors.length; i++) {
+      stretch += segmentDistances[i - 1];
+      if (anchors[i].overnight) {
+        break;
+      }
+    }
+
+    const days = Math.max(1, Math.ceil((stretch - EPSILON) / dailyLimit));
+    return Math.min(dailyLimit, stretch / days + EPSILON);
+  }
+
+  // Ordered from/stop/to points, failing if any of them cannot be placed on a map
+  buildAnchors(tripDetails) {
+    const anchors = [
+      {
+        location: tripDetails.fromLocation,
+        coordinates: tripDetails.fromCoordinates
+      },
+      ...(tripDetails.stops || []).map(stop => ({
+        location: stop.location,
+        coordinates: stop.coordinates,
+        overnight: this.isOvernightStop(stop)
+      })),
+      {
+        location: tripDetails.toDestination,
+        coordinates: tripDetails.toCoordinates
+      }
+    ];
+
+    const missing = anchors
+      .filter(anchor => !hasCoordinates(anchor.coordinates))
+      .map(anchor => anchor.location);
+
+    if (missing.length > 0) {
+      throw new RoutePlanningError('Coordinates are required for every trip location', { missing });
+    }
+
+    return anchors.map(anchor => ({
+      ...anchor,
+      coordinates: {
+        latitude: anchor.coordinates.latitude,
+        longitude: anchor.coordinates.longitude
+      }
+    }));
+  }
+
+  // A stop counts as an overnight break when the traveler leaves on a later day
+  isOvernightStop(stop) {
+    if (!stop.arrivalDate || !stop.departureDate) {
+      return false;
+    }
+    const arrival = new Date(stop.arrivalDate).toISOString().split('T')[0];
+    const departure = new Date(stop.departureDate).toISOString().split('T')[0];
+    return departure > arrival;
+  }
+
+  // Legs between consecutive waypoints, tagged with the day they are driven on
+  buildLegs(waypoints, settings) {
+    const legs = [];
+
+    for (let i = 1; i < waypoints.length; i++) {
+      const from = waypoints[i - 1];
+      const to = waypoints[i];
+      const startsNewDay = from.purpose === 'overnight' || from.overnight;
+
+      legs.push({
+        day: startsNewDay ? from.day + 1 : from.day,
+        from: from.location,
+        to: to.location,
+        fromCoordinates: from.coordinates,
+        toCoordinates: to.coordinates,
+        distance: to.distanceFromPrevious,
+        duration: Math.round(to.distanceFromPrevious / settings.averageSpeed * 60),
+        endsWith: to.purpose
+      });
+    }
+
+    return legs;
+  }
+
+  createWaypoint(point, purpose, state, distanceFromPrevious, chargingStationRequired = false) {
+    return {
+      location: point.location,
+      coordinates: point.coordinates,
+      distanceFromPrevious: this.round(distanceFromPrevious),
+      chargingStationRequired,
+      purpose,
+      day: state.day,
+      ...(point.overnight && { overnight: true })
+    };
+  }
+
+  // Charge use is tracked in rated kilometres, so a derated stretch drains the battery faster
+  advance(state, distance, rangeFactor = 1) {
+    state.sinceCharge += distance / rangeFactor;
+    state.drivenToday += distance;
+    state.sinceWaypoint += distance;
+  }
+
+  startNewDay(state, settings) {
+    state.day += 1;
+    state.drivenToday = 0;
+    if (settings.chargeOvernight) {
+      state.sinceCharge = 0;
+    }
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = new RoutePlanningService();
+module.exports.RoutePlanningError = RoutePlanningError;
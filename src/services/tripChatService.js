@@ -0,0 +1,327 @@
+// src/services/tripChatService.js
+const Trip = require('../models/Trip');
+const TripChatMessage = require('../models/TripChatMessage');
+const aiService = require('./aiService');
+const geocodingService = require('./geocodingService');
+const tripRevisionService = require('./tripRevisionService');
+const { validateUpdateTrip, validateUpdateTripDay } = require('../middleware/tripValidation');
+const { runValidators } = require('../utils/validationUtils');
+
+// Day fields a chat may edit, the same ones the day edit endpoint takes
+const DAY_FIELDS = ['summary', 'notes', 'attractions'];
+
+class TripProposalError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TripProposalError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class TripChatService {
+  constructor() {
+    // Earlier messages sent along with a new one, so the AI can follow the conversation
+    this.historyLimit = 20;
+  }
+
+  // Send a message about the trip; stores it with the AI's reply, whose edits wait to be applied.
+  // Nothing is stored when the AI fails.
+  async sendMessage(trip, userId, message) {
+    const sentAt = new Date();
+    const history = await TripChatMessage.find({ tripId: trip._id })
+      .sort({ createdAt: -1 })
+      .limit(this.historyLimit)
+      .select('role content');
+
+    const answer = await aiService.refineTrip(this.tripState(trip), history.reverse(), message);
+    const edits = this.normalizeEdits(answer);
+    const preview = edits ? await this.preview(trip, edits) : null;
+
+    const [userMessage, reply] = await TripChatMessage.create([
+      { tripId: trip._id, userId, role: 'user', content: message, createdAt: sentAt },
+      {
+        tripId: trip._id,
+        userId,
+        role: 'assistant',
+        content: answer.reply,
+        proposal: edits ? { edits, status: 'pending', tripUpdatedAt: trip.updatedAt } : undefined
+      }
+    ]);
+
+    return { message: userMessage, reply, preview };
+  }
+
+  // Apply the edits an assistant reply proposed, through the same validation as a manual edit.
+  // Resolves with null when the trip has no such proposal.
+  async applyProposal(trip, messageId, userId) {
+    const message = await TripChatMessage.findOne({
+      _id: messageId,
+      tripId: trip._id,
+      role: 'assistant',
+      'proposal.edits': { $exists: true }
+    });
+    if (!message) return null;
+
+    if (message.proposal.status === 'applied') {
+      throw new TripProposalError('ALREADY_APPLIED', 'These edits have already been applied', {
+        revision: message.proposal.revision
+      });
+    }
+
+    // The edits were proposed for the trip as it was then and could undo changes made since
+    const { edits, tripUpdatedAt } = message.proposal;
+    if (tripUpdatedAt && new Date(tripUpdatedAt).getTime() !== new Date(trip.updatedAt).getTime()) {
+      throw this.tripChangedError();
+    }
+
+    const proposed = this.applyEdits(trip, edits);
+    const errors = await this.validationErrors(trip, edits, proposed);
+    if (errors.length > 0) {
+      throw new TripProposalError('INVALID_EDITS', 'The proposed edits are not valid for this trip', { errors });
+    }
+
+    // Geocode places that are new or were renamed, as a manual edit does
+    let tripDetails = proposed.tripDetails;
+    let unresolvedLocations = [];
+    if (edits.tripDetails) {
+      const geocoding = await geocodingService.resolveTripLocations(tripDetails, trip.toObject().tripDetails);
+      const ambiguousLocations = geocoding.unresolved.filter(entry => entry.status === 'ambiguous');
+      if (ambiguousLocations.length > 0) {
+        throw new TripProposalError(
+          'AMBIGUOUS_LOCATION',
+          'Some locations are ambiguous, name them more precisely in the chat',
+          { errors: ambiguousLocations }
+        );
+      }
+      tripDetails = geocoding.tripDetails;
+      unresolvedLocations = geocoding.unresolved;
+    }
+
+    // Claim the proposal first so it is only applied once
+    const claimed = await TripChatMessage.findOneAndUpdate(
+      { _id: message._id, 'proposal.status': 'pending' },
+      { $set: { 'proposal.status': 'applied', 'proposal.appliedBy': userId, 'proposal.appliedAt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new TripProposalError('ALREADY_APPLIED', 'These edits have already been applied');
+    }
+
+    await tripRevisionService.ensureBaseline(trip._id);
+
+    let updatedTrip;
+    try {
+      updatedTrip = await this.saveEdits(trip, userId, edits, tripDetails);
+    } catch (error) {
+      await TripChatMessage.updateOne(
+        { _id: message._id },
+        {
+          $set: { 'proposal.status': 'pending' },
+          $unset: { 'proposal.appliedBy': '', 'proposal.appliedAt': '' }
+        }
+      );
+      throw error;
+    }
+
+    const revision = await tripRevisionService.record(updatedTrip, { userId, reason: 'chat_edit' });
+    claimed.proposal.revision = revision?.revision;
+    await TripChatMessage.updateOne({ _id: message._id }, { $set: { 'proposal.revision': revision?.revision } });
+
+    return {
+      trip: updatedTrip,
+      message: claimed,
+      revision: revision?.revision,
+      unresolvedLocations,
+      needsRegeneration: this.needsRegeneration(trip, edits)
+    };
+  }
+
+  // Only applies if nobody changed the trip since it was read, so the edits land on what was checked
+  async saveEdits(trip, userId, edits, tripDetails) {
+    const $set = { updatedAt: Date.now() };
+    if (edits.tripDetails) {
+      $set.tripDetails = tripDetails;
+    }
+    edits.days.forEach(edit => {
+      const index = trip.itinerary.days.findIndex(day => day.day === edit.day);
+      DAY_FIELDS.forEach(field => {
+        if (edit[field] !== undefined) $set[`itinerary.days.${index}.${field}`] = edit[field];
+      });
+    });
+
+    const updatedTrip = await Trip.findOneAndUpdate(
+      { _id: trip._id, ...Trip.accessQuery(userId, 'editor'), updatedAt: trip.updatedAt },
+      { $set },
+      { new: true, runValidators: true }
+    ).select('-__v');
+
+    if (!updatedTrip) {
+      throw this.tripChangedError();
+    }
+    return updatedTrip;
+  }
+
+  tripChangedError() {
+    return new TripProposalError(
+      'TRIP_CHANGED',
+      'The trip was changed since these edits were proposed, ask again to get edits for the current trip'
+    );
+  }
+
+  // What the trip would look like with the edits, and whether they pass the update validation
+  async preview(trip, edits) {
+    const current = trip.toObject();
+    const proposed = this.applyEdits(trip, edits);
+    const changes = tripRevisionService.diff(
+      JSON.parse(JSON.stringify({ tripDetails: current.tripDetails, itinerary: { days: current.itinerary?.days || [] } })),
+      JSON.parse(JSON.stringify({ tripDetails: proposed.tripDetails, itinerary: { days: proposed.days } }))
+    );
+    const errors = await this.validationErrors(trip, edits, proposed);
+
+    return {
+      summary: tripRevisionService.summarize(changes),
+      changes,
+      valid: errors.length === 0,
+      errors,
+      needsRegeneration: this.needsRegeneration(trip, edits)
+    };
+  }
+
+  // Trip details and days with the edits merged in. Stops are replaced as a list but keep the
+  // coordinates of stops that stay, so only new places are geocoded.
+  applyEdits(trip, edits) {
+    const current = trip.toObject();
+    let tripDetails = current.tripDetails;
+
+    if (edits.tripDetails) {
+      const changes = edits.tripDetails;
+      tripDetails = { ...tripDetails, ...changes };
+      if (changes.chargingPreferences) {
+        tripDetails.chargingPreferences = { ...current.tripDetails.chargingPreferences, ...changes.chargingPreferences };
+      }
+      if (changes.stops) {
+        tripDetails.stops = changes.stops.map(stop => {
+          const existing = (current.tripDetails.stops || [])
+            .find(entry => entry.location.toLowerCase() === stop.location.toLowerCase());
+          return existing
+            ? { coordinates: existing.coordinates, hotelRequired: existing.hotelRequired, ...stop }
+            : stop;
+        });
+      }
+    }
+
+    const days = (current.itinerary?.days || []).map(day => {
+      const edit = edits.days.find(entry => entry.day === day.day);
+      return edit ? { ...day, ...edit } : day;
+    });
+
+    return { tripDetails, days };
+  }
+
+  // Runs the trip and day update validators on the edited values, as [{ path, message }]
+  async validationErrors(trip, edits, proposed) {
+    const errors = [];
+
+    if (edits.tripDetails) {
+      errors.push(...await runValidators(validateUpdateTrip, {
+        params: { id: String(trip._id) },
+        body: { tripDetails: proposed.tripDetails }
+      }));
+    }
+
+    for (const [index, edit] of edits.days.entries()) {
+      const { day, ...fields } = edit;
+      const dayErrors = await runValidators(validateUpdateTripDay, {
+        params: { id: String(trip._id), day: String(day) },
+        body: fields
+      });
+      errors.push(...dayErrors.map(error => ({ ...error, path: `days[${index}].${error.path}` })));
+    }
+
+    return errors;
+  }
+
+  // Trip details feed the route, charging plan and hotels, which only a new generation updates
+  needsRegeneration(trip, edits) {
+    return Boolean(edits.tripDetails) && Boolean(trip.generatedRoute?.legs?.length);
+  }
+
+  // The AI answer's edits without the fields it left as they are; null when nothing changes
+  normalizeEdits({ tripDetails, days }) {
+    const withoutNulls = (value) => Object.fromEntries(
+      Object.entries(value).filter(([, entry]) => entry !== null)
+    );
+
+    let detailChanges = tripDetails ? withoutNulls(tripDetails) : {};
+    if (detailChanges.chargingPreferences) {
+      detailChanges.chargingPreferences = withoutNulls(detailChanges.chargingPreferences);
+      if (Object.keys(detailChanges.chargingPreferences).length === 0) {
+        delete detailChanges.chargingPreferences;
+      }
+    }
+    if (detailChanges.stops) {
+      detailChanges.stops = detailChanges.stops.map(withoutNulls);
+    }
+    if (Object.keys(detailChanges).length === 0) {
+      detailChanges = undefined;
+    }
+
+    const dayChanges = days
+      .map(withoutNulls)
+      .filter(day => Object.keys(day).length > 1);
+
+    if (!detailChanges && dayChanges.length === 0) return null;
+    return { tripDetails: detailChanges, days: dayChanges };
+  }
+
+  // The trip as the AI sees it: what a traveler can change, with dates as YYYY-MM-DD
+  tripState(trip) {
+    const { tripDetails, itinerary, status } = trip.toObject();
+    const formatDate = (date) => date ? new Date(date).toISOString().split('T')[0] : null;
+
+    return {
+      status,
+      tripDetails: {
+        startDate: formatDate(tripDetails.startDate),
+        fromLocation: tripDetails.fromLocation,
+        toDestination: tripDetails.toDestination,
+        stops: (tripDetails.stops || []).map(stop => ({
+          location: stop.location,
+          arrivalDate: formatDate(stop.arrivalDate),
+          departureDate: formatDate(stop.departureDate)
+        })),
+        maxDrivingDistance: tripDetails.maxDrivingDistance,
+        evRange: tripDetails.evRange,
+        cruisingSpeed: tripDetails.cruisingSpeed ?? null,
+        travelers: tripDetails.travelers,
+        rooms: tripDetails.rooms,
+        hotelRequired: tripDetails.hotelRequired,
+        connectorPreferences: tripDetails.connectorPreferences || [],
+        chargingPreferences: {
+          startingCharge: tripDetails.chargingPreferences?.startingCharge ?? null,
+          arrivalReserve: tripDetails.chargingPreferences?.arrivalReserve ?? null,
+          chargeTarget: tripDetails.chargingPreferences?.chargeTarget ?? null
+        }
+      },
+      days: (itinerary?.days || []).map(day => ({
+        day: day.day,
+        date: formatDate(day.date),
+        from: day.from,
+        to: day.to,
+        distance: day.distance,
+        hotel: day.hotel?.name || null,
+        summary: day.summary || null,
+        notes: day.notes || null,
+        attractions: (day.attractions || []).map(attraction => ({
+          name: attraction.name,
+          location: attraction.location || '',
+          description: attraction.description || ''
+        }))
+      }))
+    };
+  }
+}
+
+module.exports = new TripChatService();
+module.exports.TripProposalError = TripProposalError;
@@ -0,0 +1,163 @@
+// src/services/tripCostService.js
+const hotelService = require('./hotelService');
+const chargingCostService = require('./chargingCostService');
+const { tripDayDate, dayOfTrip } = require('../utils/dateUtils');
+
+class TripCostService {
+  // Whole-trip cost from hotels, charging and traveler-entered extras
+  async calculateTripCosts(trip) {
+    const { tripDetails } = trip;
+    const currency = tripDetails.currency || chargingCostService.getConfig().baseCurrency;
+    const travelers = tripDetails.travelers || 1;
+    const rooms = tripDetails.rooms || 1;
+
+    const accommodation = await this.accommodationItems(trip, { currency, travelers, rooms });
+    const items = [
+      ...accommodation.items,
+      ...this.chargingItems(trip, currency),
+      ...this.extraItems(tripDetails, { currency, travelers })
+    ];
+
+    return {
+      ...this.summarize(items, { startDate: tripDetails.startDate, currency, travelers, rooms }),
+      items,
+      unpriced: accommodation.unpriced,
+      calculatedAt: new Date()
+    };
+  }
+
+  // Priced stays for the verified hotels on the route
+  async accommodationItems(trip, { currency, travelers, rooms }) {
+    const hotels = trip.generatedRoute?.hotels || [];
+    const items = [];
+    const unpriced = [];
+
+    for (const hotel of hotels) {
+      if (!hotel.verified) {
+        unpriced.push({ name: hotel.name, location: hotel.location, reason: 'Hotel not verified' });
+        continue;
+      }
+
+      try {
+        const stay = await hotelService.getStayPrice({
+          hotelId: hotel.hotelId,
+          checkIn: hotel.checkIn,
+          checkOut: hotel.checkOut,
+          rooms: hotel.rooms || rooms,
+          guests: Math.ceil(travelers / rooms),
+          quotedPrice: hotel.price
+        });
+
+        if (!stay) {
+          unpriced.push({ name: hotel.name, location: hotel.location, reason: 'No price available' });
+          continue;
+        }
+
+        items.push({
+          category: 'accommodation',
+          day: dayOfTrip(trip.tripDetails.startDate, hotel.checkIn),
+          description: hotel.name,
+          location: hotel.location,
+          nights: stay.nights,
+          source: stay.source,
+          amount: this.round(chargingCostService.convert(stay.amount, stay.currency, currency))
+        });
+      } catch (error) {
+        unpriced.push({ name: hotel.name, location: hotel.location, reason: error.message });
+      }
+    }
+
+    return { items, unpriced };
+  }
+
+  // Charging sessions priced from the simulated route
+  chargingItems(trip, currency) {
+    const waypoints = trip.generatedRoute?.waypoints || [];
+    if (!waypoints.some(waypoint => waypoint.energyCharged > 0)) {
+      return [];
+    }
+
+    const estimate = chargingCostService.estimateChargingCost({
+      waypoints,
+      chargingStations: trip.generatedRoute.chargingStations,
+      currency
+    });
+
+    return estimate.stops.map(stop => ({
+      category: 'charging',
+      day: stop.day || null,
+      description: `${stop.powerClass} charging, ${stop.energy} kWh`,
+      location: stop.location,
+      amount: stop.cost
+    }));
+  }
+
+  extraItems(tripDetails, { currency, travelers }) {
+    return (tripDetails.extras || []).map(extra => {
+      const amount = extra.perTraveler ? extra.amount * travelers : extra.amount;
+      return {
+        category: extra.category || 'other',
+        day: extra.day || null,
+        description: extra.description,
+        perTraveler: Boolean(extra.perTraveler),
+        amount: this.round(chargingCostService.convert(amount, extra.currency || currency, currency))
+      };
+    });
+  }
+
+  // Totals by day, by category and per traveler
+  summarize(items, { startDate, currency, travelers, rooms }) {
+    const categories = { accommodation: 0, charging: 0 };
+    const days = new Map();
+    let tripWide = 0;
+
+    items.forEach(item => {
+      categories[item.category] = (categories[item.category] || 0) + item.amount;
+
+      if (!item.day) {
+        tripWide += item.amount;
+        return;
+      }
+
+      if (!days.has(item.day)) {
+        days.set(item.day, {
+          day: item.day,
+          date: tripDayDate(startDate, item.day),
+          categories: {},
+          total: 0
+        });
+      }
+      const day = days.get(item.day);
+      day.categories[item.category] = this.round((day.categories[item.category] || 0) + item.amount);
+      day.total = this.round(day.total + item.amount);
+    });
+
+    const total = this.round(items.reduce((sum, item) => sum + item.amount, 0));
+    const roundedCategories = {};
+    const perTravelerCategories = {};
+    Object.entries(categories).forEach(([category, amount]) => {
+      roundedCategories[category] = this.round(amount);
+      perTravelerCategories[category] = this.round(amount / travelers);
+    });
+
+    return {
+      currency,
+      travelers,
+      rooms,
+      total,
+      categories: roundedCategories,
+      days: [...days.values()].sort((a, b) => a.day - b.day),
+      tripWide: this.round(tripWide),
+      perTraveler: {
+        total: this.round(total / travelers),
+        categories: perTravelerCategories
+      }
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new TripCostService();
@@ -0,0 +1,368 @@
+// src/services/tripDocumentService.js
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+const itineraryService = require('./itineraryService');
+const tripCostService = require('./tripCostService');
+const tripExportService = require('./tripExportService');
+
+const COST_LABELS = {
+  accommodation: 'Accommodation',
+  charging: 'Charging',
+  toll: 'Tolls',
+  vignette: 'Vignettes',
+  ferry: 'Ferries',
+  parking: 'Parking',
+  other: 'Other'
+};
+
+class TripDocumentService {
+  // Everything the printable trip sheet shows, gathered once for both formats
+  async buildDocument(trip) {
+    const { tripDetails } = trip;
+    const route = trip.generatedRoute || {};
+
+    // Trips planned before itineraries were stored still get a day list from their legs
+    const days = trip.itinerary?.days?.length
+      ? trip.itinerary.days
+      : itineraryService.buildDays({
+        tripDetails,
+        legs: route.legs,
+        waypoints: route.waypoints,
+        hotels: route.hotels,
+        chargingStations: route.chargingStations
+      });
+
+    const [catalog, bookings, costs] = await Promise.all([
+      tripExportService.findCatalogHotels([trip], 'hotelId name location contact policies'),
+      // Bookings paid by the owner or a member, the same ones that let the trip be booked
+      Booking.find({ tripId: trip._id, userId: { $in: trip.userIds() } }).sort({ createdAt: 1 }),
+      tripCostService.calculateTripCosts(trip)
+    ]);
+
+    return {
+      title: `${tripDetails.fromLocation} to ${tripDetails.toDestination}`,
+      startDate: tripDetails.startDate,
+      endDate: days.length ? days[days.length - 1].date : undefined,
+      travelers: tripDetails.travelers || 1,
+      totalDistance: route.totalDistance,
+      totalDuration: route.totalDuration,
+      days: days.map(day => ({
+        day: day.day,
+        date: day.date,
+        from: day.from,
+        to: day.to,
+        distance: day.distance,
+        driveTime: day.driveTime,
+        summary: day.summary,
+        notes: day.notes,
+        attractions: day.attractions || [],
+        hotel: day.hotel ? this.describeHotel(day.hotel, route.hotels, catalog) : null,
+        chargingStops: day.chargingStops || []
+      })),
+      bookings: bookings.map(booking => ({
+        reference: booking.orderId,
+        status: booking.paymentStatus,
+        // What Stripe charged, stored in cents, rather than the price the client asked for
+        amount: booking.amount / 100,
+        currency: (booking.currency || 'usd').toUpperCase(),
+        customerName: booking.customerName,
+        bookedAt: booking.createdAt,
+        reservations: (booking.reservations || []).length
+      })),
+      costs,
+      generatedAt: new Date()
+    };
+  }
+
+  // Hotel on the day with its address, contact details and check-in/out times from the catalog
+  describeHotel(dayHotel, routeHotels = [], catalog) {
+    const routeHotel = routeHotels[dayHotel.hotelIndex] || {};
+    const catalogHotel = dayHotel.hotelId
+      ? catalog.find(entry => entry.hotelId === dayHotel.hotelId)
+      : null;
+    const location = catalogHotel?.location;
+
+    return {
+      name: dayHotel.name,
+      verified: Boolean(dayHotel.verified),
+      address: location
+        ? [location.address, [location.postalCode, location.city].filter(Boolean).join(' '), location.country]
+          .filter(Boolean)
+          .join(', ')
+        : dayHotel.location,
+      phone: catalogHotel?.contact?.phone,
+      email: catalogHotel?.contact?.email,
+      website: catalogHotel?.contact?.website,
+      checkIn: routeHotel.checkIn,
+      checkOut: routeHotel.checkOut,
+      checkInTime: catalogHotel?.policies?.checkIn?.time,
+      checkOutTime: catalogHotel?.policies?.checkOut?.time
+    };
+  }
+
+  toHtml(document) {
+    const e = value => this.escapeHtml(value);
+    const { costs } = document;
+
+    const dayHtml = document.days.map(day => {
+      const hotel = day.hotel;
+      const hotelHtml = hotel ? `
+      <div class="block">
+        <h4>Overnight: ${e(hotel.name)}${hotel.verified ? '' : ' <span class="muted">(unverified)</span>'}</h4>
+        ${hotel.address ? `<p>${e(hotel.address)}</p>` : ''}
+        ${this.contactLine(hotel) ? `<p>${e(this.contactLine(hotel))}</p>` : ''}
+        <p class="muted">${e(this.stayLine(hotel))}</p>
+      </div>` : '';
+
+      const chargingHtml = day.chargingStops.length ? `
+      <div class="block">
+        <h4>Charging stops</h4>
+        <ul>${day.chargingStops.map(stop => `
+          <li>${e(this.chargingLine(stop))}</li>`).join('')}
+        </ul>
+      </div>` : '';
+
+      const attractionHtml = day.attractions.length ? `
+      <div class="block">
+        <h4>Along the way</h4>
+        <ul>${day.attractions.map(attraction => `
+          <li><strong>${e(attraction.name)}</strong>${attraction.location ? `, ${e(attraction.location)}` : ''}${attraction.description ? ` &ndash; ${e(attraction.description)}` : ''}</li>`).join('')}
+        </ul>
+      </div>` : '';
+
+      return `
+    <section class="day">
+      <h3>Day ${day.day}${day.date ? ` &middot; ${e(this.formatDate(day.date))}` : ''}</h3>
+      <p class="route">${e(day.from)} &rarr; ${e(day.to)} <span class="muted">${e(this.driveLine(day))}</span></p>
+      ${day.summary ? `<p>${e(day.summary)}</p>` : ''}
+      ${chargingHtml}
+      ${hotelHtml}
+      ${attractionHtml}
+      ${day.notes ? `<div class="block notes"><h4>Notes</h4><p>${e(day.notes)}</p></div>` : ''}
+    </section>`;
+    }).join('');
+
+    const bookingHtml = document.bookings.length ? `
+    <h2>Bookings</h2>
+    <table>
+      <tr><th>Reference</th><th>Booked</th><th>Name</th><th>Status</th><th class="amount">Amount</th></tr>${document.bookings.map(booking => `
+      <tr><td>${e(booking.reference)}</td><td>${e(this.formatDate(booking.bookedAt))}</td><td>${e(booking.customerName)}</td><td>${e(booking.status)}</td><td class="amount">${e(this.formatMoney(booking.amount, booking.currency))}</td></tr>`).join('')}
+    </table>` : '';
+
+    const costHtml = `
+    <h2>Costs</h2>
+    <table>${this.costRows(costs).map(([label, amount]) => `
+      <tr><td>${e(label)}</td><td class="amount">${e(this.formatMoney(amount, costs.currency))}</td></tr>`).join('')}
+      <tr class="total"><td>Total</td><td class="amount">${e(this.formatMoney(costs.total, costs.currency))}</td></tr>
+      <tr><td>Per traveler (${costs.travelers})</td><td class="amount">${e(this.formatMoney(costs.perTraveler.total, costs.currency))}</td></tr>
+    </table>
+    ${costs.unpriced.length ? `<p class="muted">Not included: ${e(costs.unpriced.map(item => `${item.name} (${item.reason})`).join('; '))}</p>` : ''}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${e(document.title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 2em auto; padding: 0 1em; font-size: 14px; }
+    h1 { margin-bottom: 0.2em; }
+    h2 { border-bottom: 2px solid #2a7; padding-bottom: 0.2em; margin-top: 1.5em; }
+    h3 { margin: 0 0 0.3em; }
+    h4 { margin: 0.6em 0 0.2em; }
+    p { margin: 0.2em 0; }
+    ul { margin: 0.2em 0; padding-left: 1.2em; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.3em 0.4em; border-bottom: 1px solid #ddd; }
+    .amount { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+    .muted { color: #777; }
+    .route { font-weight: bold; }
+    .day { border: 1px solid #ddd; border-radius: 4px; padding: 0.8em 1em; margin: 0.8em 0; page-break-inside: avoid; }
+    .notes { background: #f6f6f6; padding: 0.4em 0.6em; }
+    @media print { body { margin: 0; max-width: none; } .day { border-color: #999; } }
+  </style>
+</head>
+<body>
+  <h1>${e(document.title)}</h1>
+  <p class="muted">${e(this.overviewLine(document))}</p>
+  <h2>Itinerary</h2>${dayHtml || '\n  <p class="muted">No itinerary has been generated for this trip yet.</p>'}
+  ${bookingHtml}
+  ${costHtml}
+  <p class="muted">Generated ${e(this.formatDate(document.generatedAt))}</p>
+</body>
+</html>
+`;
+  }
+
+  // Resolves with the PDF as a Buffer
+  toPdf(document) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: document.title } });
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      const heading = text => pdf.moveDown().font('Helvetica-Bold').fontSize(14).text(text).moveDown(0.3);
+      const subheading = text => pdf.moveDown(0.3).font('Helvetica-Bold').fontSize(10).text(text);
+      const body = text => pdf.font('Helvetica').fontSize(10).text(text);
+      const muted = text => pdf.font('Helvetica').fontSize(9).fillColor('#777777').text(text).fillColor('#000000');
+      const amountRow = (label, amount, bold = false) => {
+        const y = pdf.y;
+        pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        pdf.text(label, 50, y, { width: 350 });
+        pdf.text(amount, 400, y, { width: 145, align: 'right' });
+        pdf.x = 50;
+      };
+
+      pdf.font('Helvetica-Bold').fontSize(20).text(document.title);
+      muted(this.overviewLine(document));
+
+      heading('Itinerary');
+      if (document.days.length === 0) {
+        muted('No itinerary has been generated for this trip yet.');
+      }
+
+      document.days.forEach(day => {
+        pdf.moveDown(0.5).font('Helvetica-Bold').fontSize(12)
+          .text(`Day ${day.day}${day.date ? ` - ${this.formatDate(day.date)}` : ''}`);
+        body(`${day.from} to ${day.to}`);
+        muted(this.driveLine(day));
+        if (day.summary) body(day.summary);
+
+        if (day.chargingStops.length) {
+          subheading('Charging stops');
+          day.chargingStops.forEach(stop => body(`- ${this.chargingLine(stop)}`));
+        }
+
+        if (day.hotel) {
+          subheading(`Overnight: ${day.hotel.name}${day.hotel.verified ? '' : ' (unverified)'}`);
+          if (day.hotel.address) body(day.hotel.address);
+          if (this.contactLine(day.hotel)) body(this.contactLine(day.hotel));
+          muted(this.stayLine(day.hotel));
+        }
+
+        if (day.attractions.length) {
+          subheading('Along the way');
+          day.attractions.forEach(attraction => body(
+            `- ${attraction.name}${attraction.location ? `, ${attraction.location}` : ''}` +
+            `${attraction.description ? `: ${attraction.description}` : ''}`
+          ));
+        }
+
+        if (day.notes) {
+          subheading('Notes');
+          body(day.notes);
+        }
+      });
+
+      if (document.bookings.length) {
+        heading('Bookings');
+        document.bookings.forEach(booking => amountRow(
+          `${booking.reference} - ${booking.customerName}, ${this.formatDate(booking.bookedAt)} (${booking.status})`,
+          this.formatMoney(booking.amount, booking.currency)
+        ));
+      }
+
+      const { costs } = document;
+      heading('Costs');
+      this.costRows(costs).forEach(([label, amount]) => amountRow(label, this.formatMoney(amount, costs.currency)));
+      amountRow('Total', this.formatMoney(costs.total, costs.currency), true);
+      amountRow(`Per traveler (${costs.travelers})`, this.formatMoney(costs.perTraveler.total, costs.currency));
+      if (costs.unpriced.length) {
+        pdf.moveDown(0.3);
+        muted(`Not included: ${costs.unpriced.map(item => `${item.name} (${item.reason})`).join('; ')}`);
+      }
+
+      pdf.moveDown();
+      muted(`Generated ${this.formatDate(document.generatedAt)}`);
+      pdf.end();
+    });
+  }
+
+  // Categories with a non-zero total, in a fixed order
+  costRows(costs) {
+    return Object.entries(costs.categories)
+      .filter(([, amount]) => amount > 0)
+      .sort(([a], [b]) => Object.keys(COST_LABELS).indexOf(a) - Object.keys(COST_LABELS).indexOf(b))
+      .map(([category, amount]) => [COST_LABELS[category] || category, amount]);
+  }
+
+  overviewLine(document) {
+    const parts = [];
+    if (document.startDate) {
+      parts.push(document.endDate
+        ? `${this.formatDate(document.startDate)} - ${this.formatDate(document.endDate)}`
+        : this.formatDate(document.startDate));
+    }
+    parts.push(`${document.travelers} traveler${document.travelers === 1 ? '' : 's'}`);
+    if (document.totalDistance) parts.push(`${Math.round(document.totalDistance)} km`);
+    if (document.totalDuration) parts.push(`${this.formatDuration(document.totalDuration)} driving`);
+    return parts.join(' | ');
+  }
+
+  driveLine(day) {
+    const parts = [];
+    if (day.distance) parts.push(`${day.distance} km`);
+    if (day.driveTime) parts.push(`${this.formatDuration(day.driveTime)} driving`);
+    return parts.join(', ');
+  }
+
+  chargingLine(stop) {
+    const parts = [stop.name || stop.location];
+    if (stop.name && stop.location) parts.push(stop.location);
+    if (stop.arrivalSoc != null && stop.departureSoc != null) {
+      parts.push(`${stop.arrivalSoc}% to ${stop.departureSoc}%`);
+    }
+    if (stop.chargeTime > 0) parts.push(`about ${this.formatDuration(stop.chargeTime)}`);
+    if (stop.overnight) parts.push('overnight');
+    return parts.filter(Boolean).join(', ');
+  }
+
+  contactLine(hotel) {
+    return [hotel.phone, hotel.email, hotel.website].filter(Boolean).join(' | ');
+  }
+
+  stayLine(hotel) {
+    const parts = [];
+    if (hotel.checkIn) {
+      parts.push(`Check-in ${this.formatDate(hotel.checkIn)}${hotel.checkInTime ? ` from ${hotel.checkInTime}` : ''}`);
+    }
+    if (hotel.checkOut) {
+      parts.push(`check-out ${this.formatDate(hotel.checkOut)}${hotel.checkOutTime ? ` by ${hotel.checkOutTime}` : ''}`);
+    }
+    return parts.join(', ');
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    if (hours === 0) return `${rest} min`;
+    return rest ? `${hours} h ${rest} min` : `${hours} h`;
+  }
+
+  formatMoney(amount, currency) {
+    return `${Number(amount || 0).toFixed(2)} ${currency}`;
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new TripDocumentService();
@@ -0,0 +1,436 @@
+// src/services/tripExportService.js
+const Hotel = require('../models/Hotel');
+const { hasCoordinates } = require('../utils/geoUtils');
+const { dayOfTrip, tripDayDate } = require('../utils/dateUtils');
+
+class TripExportError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'TripExportError';
+    this.details = details;
+  }
+}
+
+// Export groups, in the order they are written
+const POINT_TYPES = {
+  start: { label: 'Start', symbol: 'Flag, Green' },
+  charging: { label: 'Charging stops', symbol: 'Car Repair' },
+  stop: { label: 'Stops', symbol: 'Waypoint' },
+  overnight: { label: 'Overnight stops', symbol: 'Lodging' },
+  hotel: { label: 'Hotels', symbol: 'Lodging' },
+  destination: { label: 'Destination', symbol: 'Flag, Red' }
+};
+
+// Driving is assumed to start at this local time when estimating charging stop times
+const DAY_START = '09:00';
+const PRODUCT_ID = '-//EVF Trip Planner//Trips//EN';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class TripExportService {
+  // Named points and per-day routes of a generated trip, failing when any point cannot be placed
+  async collectRoute(trip) {
+    const route = trip.generatedRoute || {};
+    const waypoints = route.waypoints || [];
+    const legs = route.legs || [];
+
+    if (waypoints.length === 0) {
+      throw new TripExportError('Trip has no generated route to export');
+    }
+
+    const missing = [];
+    const routePoints = waypoints.map((waypoint, index) => {
+      const station = (route.chargingStations || []).find(candidate => candidate.waypointIndex === index);
+      const coordinates = hasCoordinates(station?.coordinates) ? station.coordinates : waypoint.coordinates;
+
+      if (!hasCoordinates(coordinates)) {
+        missing.push({ type: 'waypoint', index, name: waypoint.location });
+      }
+
+      return {
+        name: station?.name || waypoint.location,
+        type: POINT_TYPES[waypoint.purpose] ? waypoint.purpose : 'stop',
+        day: waypoint.day,
+        coordinates,
+        description: this.describeWaypoint(waypoint, station)
+      };
+    });
+
+    const hotelPoints = await this.collectHotels(trip, waypoints, missing);
+
+    if (missing.length > 0) {
+      throw new TripExportError('Coordinates are missing for some route points', { missing });
+    }
+
+    // One route per day: the day's first departure point followed by every arrival
+    const days = [...new Set(legs.map(leg => leg.day))].sort((a, b) => a - b).map(day => {
+      const legIndexes = legs
+        .map((leg, index) => (leg.day === day ? index : -1))
+        .filter(index => index >= 0);
+
+      return {
+        day,
+        name: `Day ${day}: ${legs[legIndexes[0]].from} to ${legs[legIndexes[legIndexes.length - 1]].to}`,
+        points: [legIndexes[0], ...legIndexes.map(index => index + 1)]
+          .map(index => routePoints[index])
+          .filter(Boolean)
+      };
+    });
+
+    return {
+      name: `${trip.tripDetails.fromLocation} to ${trip.tripDetails.toDestination}`,
+      points: [...routePoints, ...hotelPoints],
+      days
+    };
+  }
+
+  // Hotels are placed from the hotel catalog, or at the overnight stop of the night they cover
+  async collectHotels(trip, waypoints, missing) {
+    const hotels = trip.generatedRoute?.hotels || [];
+    const catalog = await this.findCatalogHotels([trip]);
+
+    return hotels.map((hotel, index) => {
+      const catalogHotel = catalog.find(entry => entry.hotelId === hotel.hotelId);
+      const day = dayOfTrip(trip.tripDetails.startDate, hotel.checkIn);
+      const overnightStop = waypoints.find(waypoint => waypoint.day === day &&
+        (waypoint.purpose === 'overnight' || waypoint.overnight || waypoint.purpose === 'destination'));
+
+      const coordinates = hasCoordinates(catalogHotel?.location?.coordinates)
+        ? catalogHotel.location.coordinates
+        : overnightStop?.coordinates;
+
+      if (!hasCoordinates(coordinates)) {
+        missing.push({ type: 'hotel', index, name: hotel.name });
+      }
+
+      return {
+        name: hotel.name,
+        type: 'hotel',
+        day,
+        coordinates,
+        description: [hotel.location, hotel.verified ? 'verified' : 'not verified'].filter(Boolean).join(', ')
+      };
+    });
+  }
+
+  // Hotel catalog entries for the hotels on the given trips
+  async findCatalogHotels(trips, fields = 'hotelId location policies') {
+    const hotelIds = trips
+      .flatMap(trip => trip.generatedRoute?.hotels || [])
+      .map(hotel => hotel.hotelId)
+      .filter(Boolean);
+
+    if (hotelIds.length === 0) return [];
+    return Hotel.find({ hotelId: { $in: hotelIds } }).select(fields);
+  }
+
+  describeWaypoint(waypoint, station) {
+    const parts = [`Day ${waypoint.day}`];
+    if (station?.operator) parts.push(station.operator);
+    if (waypoint.arrivalSoc != null) parts.push(`arrive at ${waypoint.arrivalSoc}%`);
+    if (waypoint.chargeTime > 0) parts.push(`charge ${waypoint.chargeTime} min to ${waypoint.departureSoc}%`);
+    return parts.join(', ');
+  }
+
+  sortedByType(points) {
+    const order = Object.keys(POINT_TYPES);
+    return [...points].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+  }
+
+  // GPX 1.1: typed waypoints followed by one route per day
+  async toGpx(trip) {
+    const { name, points, days } = await this.collectRoute(trip);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="EVF Trip Planner" xmlns="http://www.topografix.com/GPX/1/1"' +
+        ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"' +
+        ' xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+      '  <metadata>',
+      `    <name>${escapeXml(name)}</name>`,
+      `    <time>${new Date().toISOString()}</time>`,
+      '  </metadata>'
+    ];
+
+    this.sortedByType(points).forEach(point => {
+      lines.push(
+        `  <wpt lat="${point.coordinates.latitude}" lon="${point.coordinates.longitude}">`,
+        `    <name>${escapeXml(point.name)}</name>`,
+        `    <desc>${escapeXml(point.description)}</desc>`,
+        `    <sym>${escapeXml(POINT_TYPES[point.type].symbol)}</sym>`,
+        `    <type>${escapeXml(point.type)}</type>`,
+        '  </wpt>'
+      );
+    });
+
+    days.forEach(day => {
+      lines.push('  <rte>', `    <name>${escapeXml(day.name)}</name>`, `    <number>${day.day}</number>`);
+      day.points.forEach(point => {
+        lines.push(
+          `    <rtept lat="${point.coordinates.latitude}" lon="${point.coordinates.longitude}">`,
+          `      <name>${escapeXml(point.name)}</name>`,
+          `      <type>${escapeXml(point.type)}</type>`,
+          '    </rtept>'
+        );
+      });
+      lines.push('  </rte>');
+    });
+
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+  }
+
+  // KML 2.2: one folder per point type and a folder with a line per day
+  async toKml(trip) {
+    const { name, points, days } = await this.collectRoute(trip);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      `    <name>${escapeXml(name)}</name>`,
+      '    <Style id="day-route">',
+      '      <LineStyle>',
+      '        <color>ff1e90ff</color>',
+      '        <width>4</width>',
+      '      </LineStyle>',
+      '    </Style>'
+    ];
+
+    Object.entries(POINT_TYPES).forEach(([type, { label }]) => {
+      const typePoints = points.filter(point => point.type === type);
+      if (typePoints.length === 0) return;
+
+      lines.push('    <Folder>', `      <name>${escapeXml(label)}</name>`);
+      typePoints.forEach(point => {
+        lines.push(
+          '      <Placemark>',
+          `        <name>${escapeXml(point.name)}</name>`,
+          `        <description>${escapeXml(point.description)}</description>`,
+          '        <Point>',
+          `          <coordinates>${point.coordinates.longitude},${point.coordinates.latitude}</coordinates>`,
+          '        </Point>',
+          '      </Placemark>'
+        );
+      });
+      lines.push('    </Folder>');
+    });
+
+    lines.push('    <Folder>', '      <name>Daily routes</name>');
+    days.forEach(day => {
+      const coordinates = day.points
+        .map(point => `${point.coordinates.longitude},${point.coordinates.latitude}`)
+        .join(' ');
+      lines.push(
+        '      <Placemark>',
+        `        <name>${escapeXml(day.name)}</name>`,
+        '        <styleUrl>#day-route</styleUrl>',
+        '        <LineString>',
+        '          <tessellate>1</tessellate>',
+        `          <coordinates>${coordinates}</coordinates>`,
+        '        </LineString>',
+        '      </Placemark>'
+      );
+    });
+    lines.push('    </Folder>', '  </Document>', '</kml>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  // iCalendar document with the events of a single trip
+  async toIcs(trip) {
+    const catalog = await this.findCatalogHotels([trip]);
+    return this.buildCalendar(
+      `${trip.tripDetails.fromLocation} to ${trip.tripDetails.toDestination}`,
+      this.calendarEvents(trip, catalog)
+    );
+  }
+
+  // iCalendar document with the events of several trips, for calendar subscriptions
+  async toIcsFeed(trips, name) {
+    const catalog = await this.findCatalogHotels(trips);
+    return this.buildCalendar(name, trips.flatMap(trip => this.calendarEvents(trip, catalog)));
+  }
+
+  // Driving days, hotel check-in/check-out and charging stops of a trip
+  calendarEvents(trip, catalog) {
+    const route = trip.generatedRoute || {};
+    const legs = route.legs || [];
+    const waypoints = route.waypoints || [];
+    const { startDate, fromLocation, toDestination } = trip.tripDetails;
+    const tripName = `${fromLocation} to ${toDestination}`;
+    const events = [];
+
+    const days = [...new Set(legs.map(leg => leg.day))].sort((a, b) => a - b);
+    days.forEach(day => {
+      const legIndexes = legs
+        .map((leg, index) => (leg.day === day ? index : -1))
+        .filter(index => index >= 0);
+      const dayLegs = legIndexes.map(index => legs[index]);
+      const distance = Math.round(dayLegs.reduce((sum, leg) => sum + (leg.distance || 0), 0));
+      const driveMinutes = dayLegs.reduce((sum, leg) => sum + (leg.duration || 0), 0);
+      const date = tripDayDate(startDate, day);
+
+      events.push({
+        uid: `${trip._id}-day-${day}`,
+        date,
+        summary: `Day ${day}: ${dayLegs[0].from} to ${dayLegs[dayLegs.length - 1].to}`,
+        location: dayLegs[dayLegs.length - 1].to,
+        description: `${tripName}\n${distance} km, about ${this.formatDuration(driveMinutes)} of driving`
+      });
+
+      // Charging stop times are estimated from the drive and charge times before them
+      let minutes = this.minutesOfDay(DAY_START);
+      legIndexes.forEach(index => {
+        minutes += legs[index].duration || 0;
+        const waypoint = waypoints[index + 1];
+        const isOvernight = waypoint?.purpose === 'overnight' || waypoint?.overnight;
+        if (!waypoint || isOvernight || !(waypoint.chargeTime > 0)) return;
+
+        const station = (route.chargingStations || []).find(candidate => candidate.waypointIndex === index + 1);
+        const coordinates = hasCoordinates(station?.coordinates) ? station.coordinates : waypoint.coordinates;
+        events.push({
+          uid: `${trip._id}-charge-${index + 1}`,
+          start: this.atTime(date, minutes),
+          end: this.atTime(date, minutes + waypoint.chargeTime),
+          summary: `Charge: ${station?.name || waypoint.location}`,
+          location: station?.location || station?.name || waypoint.location,
+          geo: hasCoordinates(coordinates) ? coordinates : undefined,
+          description: `${tripName}\nEstimated time. ${this.describeWaypoint(waypoint, station)}`
+        });
+        minutes += waypoint.chargeTime;
+      });
+    });
+
+    (route.hotels || []).forEach((hotel, index) => {
+      if (!hotel.checkIn) return;
+
+      const catalogHotel = catalog.find(entry => entry.hotelId && entry.hotelId === hotel.hotelId);
+      const checkInTime = catalogHotel?.policies?.checkIn?.time || '15:00';
+      const checkOutTime = catalogHotel?.policies?.checkOut?.time || '11:00';
+      const location = catalogHotel?.location?.address
+        ? `${hotel.name}, ${catalogHotel.location.address}`
+        : [hotel.name, hotel.location].filter(Boolean).join(', ');
+      const geo = hasCoordinates(catalogHotel?.location?.coordinates) ? catalogHotel.location.coordinates : undefined;
+
+      const checkIn = this.atTime(new Date(hotel.checkIn), this.minutesOfDay(checkInTime));
+      events.push({
+        uid: `${trip._id}-hotel-${index}-checkin`,
+        start: checkIn,
+        end: this.atTime(new Date(hotel.checkIn), this.minutesOfDay(checkInTime) + 30),
+        summary: `Check-in: ${hotel.name}`,
+        location,
+        geo,
+        description: tripName
+      });
+
+      if (hotel.checkOut) {
+        events.push({
+          uid: `${trip._id}-hotel-${index}-checkout`,
+          start: this.atTime(new Date(hotel.checkOut), this.minutesOfDay(checkOutTime)),
+          end: this.atTime(new Date(hotel.checkOut), this.minutesOfDay(checkOutTime) + 30),
+          summary: `Check-out: ${hotel.name}`,
+          location,
+          geo,
+          description: tripName
+        });
+      }
+    });
+
+    return events;
+  }
+
+  // RFC 5545 calendar; times without a zone are the traveler's local time at that place
+  buildCalendar(name, events) {
+    const stamp = this.formatUtc(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`
+    ];
+
+    events.forEach(event => {
+      lines.push('BEGIN:VEVENT', `UID:${event.uid}@evf-trip-planner`, `DTSTAMP:${stamp}`);
+      if (event.date) {
+        const nextDay = new Date(event.date.getTime() + 24 * 60 * 60 * 1000);
+        lines.push(
+          `DTSTART;VALUE=DATE:${this.formatDate(event.date)}`,
+          `DTEND;VALUE=DATE:${this.formatDate(nextDay)}`
+        );
+      } else {
+        lines.push(`DTSTART:${event.start}`, `DTEND:${event.end}`);
+      }
+      lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+      if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+      if (event.geo) lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+      if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // TEXT values escape backslashes, commas, semicolons and line breaks
+  escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/[,;]/g, match => `\\${match}`)
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Content lines longer than 75 octets continue on lines starting with a space
+  foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const character of line) {
+      const bytes = Buffer.byteLength(character);
+      const limit = chunks.length === 0 ? 75 : 74;
+      if (currentBytes + bytes > limit) {
+        chunks.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += character;
+      currentBytes += bytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+
+  minutesOfDay(time) {
+    const [hours, minutes] = String(time).split(':').map(value => parseInt(value) || 0);
+    return hours * 60 + minutes;
+  }
+
+  // Floating local date-time on the calendar day of a date
+  atTime(date, minutes) {
+    const value = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) + minutes * 60000);
+    return value.toISOString().replace(/[-:]/g, '').split('.')[0];
+  }
+
+  formatDate(date) {
+    return date.toISOString().split('T')[0].replace(/-/g, '');
+  }
+
+  formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+  }
+
+  formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+  }
+}
+
+module.exports = new TripExportService();
+module.exports.TripExportError = TripExportError;
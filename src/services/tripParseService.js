@@ -0,0 +1,112 @@
+// src/services/tripParseService.js
+const Vehicle = require('../models/Vehicle');
+const aiService = require('./aiService');
+const geocodingService = require('./geocodingService');
+const { validateCreateTrip } = require('../middleware/tripValidation');
+const { runValidators } = require('../utils/validationUtils');
+
+// Fields createTrip cannot do without
+const REQUIRED_FIELDS = ['startDate', 'fromLocation', 'toDestination'];
+// Where the coordinates of a geocoded location field go in the draft
+const COORDINATE_FIELDS = { fromLocation: 'fromCoordinates', toDestination: 'toCoordinates' };
+
+class TripParseService {
+  // Draft createTrip body from a free-text description. Values that were guessed, fail the create
+  // validation, or do not match one saved vehicle or one place are kept out of the draft and
+  // listed as uncertain with the value found, for the traveler to confirm.
+  async parse(description, userId, { today = new Date().toISOString().split('T')[0] } = {}) {
+    const parsed = await aiService.parseTripDescription(description, today);
+    const found = Object.fromEntries(
+      Object.entries(parsed.tripDetails).filter(([, value]) => value !== null)
+    );
+    if (found.stops?.length === 0) delete found.stops;
+
+    const uncertain = [];
+    const flag = (field, reason, extra = {}) => {
+      if (uncertain.some(entry => entry.field === field)) return;
+      uncertain.push({ field, value: found[field] ?? null, reason, ...extra });
+    };
+    const isFlagged = (field) => uncertain.some(entry => entry.field === field);
+
+    parsed.uncertain.forEach(entry => flag(entry.field, entry.reason));
+    REQUIRED_FIELDS
+      .filter(field => found[field] === undefined)
+      .forEach(field => flag(field, 'Not found in the description'));
+
+    const { vehicle, ...draft } = found;
+    if (vehicle && !isFlagged('vehicle')) {
+      const matches = await this.matchVehicles(userId, vehicle);
+      if (matches.length === 1) {
+        draft.vehicleId = String(matches[0]._id);
+      } else if (matches.length > 1) {
+        flag('vehicle', `More than one saved vehicle matches "${vehicle}"`, {
+          candidates: matches.map(match => ({ vehicleId: match._id, name: match.name }))
+        });
+      } else {
+        flag('vehicle', `No saved vehicle matches "${vehicle}", add it under vehicles or pick another`);
+      }
+    }
+
+    // Places are looked up now so the traveler can settle ambiguous names before creating the trip
+    for (const field of Object.keys(COORDINATE_FIELDS)) {
+      if (draft[field] && !isFlagged(field)) {
+        const result = await geocodingService.geocode(draft[field]);
+        if (result.status === 'resolved') {
+          draft[COORDINATE_FIELDS[field]] = this.coordinatesOf(result);
+        } else {
+          flag(field, this.locationProblem(draft[field], result.status), { candidates: result.candidates });
+        }
+      }
+    }
+    if (draft.stops && !isFlagged('stops')) {
+      for (const stop of draft.stops) {
+        const result = await geocodingService.geocode(stop.location);
+        if (result.status !== 'resolved') {
+          flag('stops', this.locationProblem(stop.location, result.status), { candidates: result.candidates });
+          break;
+        }
+        stop.coordinates = this.coordinatesOf(result);
+      }
+    }
+
+    const validationErrors = await runValidators(validateCreateTrip, { body: draft });
+    validationErrors.forEach(error => flag(error.path.split(/[.[]/)[0], error.message));
+
+    uncertain.forEach(entry => {
+      delete draft[entry.field];
+      delete draft[COORDINATE_FIELDS[entry.field]];
+      if (entry.field === 'vehicle') delete draft.vehicleId;
+    });
+
+    return {
+      draft,
+      uncertain,
+      ready: uncertain.length === 0
+    };
+  }
+
+  // Saved vehicles of the user whose name, or make and model, contain the vehicle as written
+  async matchVehicles(userId, vehicle) {
+    const wanted = vehicle.toLowerCase();
+    const vehicles = await Vehicle.find({ userId }).select('name make model');
+    return vehicles.filter(entry =>
+      [entry.name, `${entry.make || ''} ${entry.model || ''}`.trim(), entry.model]
+        .some(name => name && (name.toLowerCase().includes(wanted) || wanted.includes(name.toLowerCase())))
+    );
+  }
+
+  coordinatesOf(result) {
+    return {
+      latitude: result.location.coordinates.latitude,
+      longitude: result.location.coordinates.longitude
+    };
+  }
+
+  locationProblem(name, status) {
+    return status === 'ambiguous'
+      ? `"${name}" matches more than one place, pick one of the candidates`
+      : `No place called "${name}" was found`;
+  }
+}
+
+module.exports = new TripParseService();
@@ -0,0 +1,126 @@
+// src/services/tripRevisionService.js
+const Trip = require('../models/Trip');
+const TripRevision = require('../models/TripRevision');
+
+// Parts of a trip that make up its plan
+const SNAPSHOT_FIELDS = ['tripDetails', 'generatedRoute', 'itinerary', 'chargeSimulation', 'costEstimate', 'status'];
+// Status moves on through its own endpoint, so restoring an old plan keeps the current one
+// (the restore endpoint only moves a planned trip back to draft when the plan has no route)
+const RESTORED_FIELDS = SNAPSHOT_FIELDS.filter(field => field !== 'status');
+// Subdocument IDs change on every save of an array and say nothing about the plan
+const IGNORED_KEYS = ['_id', '__v'];
+
+class TripRevisionService {
+  constructor() {
+    // Two changes saved at the same moment can race for the same revision number
+    this.maxRecordAttempts = 3;
+  }
+
+  // Plain JSON copy of the plan, so dates and IDs compare as strings
+  snapshot(trip) {
+    const source = typeof trip.toObject === 'function' ? trip.toObject() : trip;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (source[field] !== undefined) snapshot[field] = source[field];
+    });
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  // Store the trip as it is now. A failed write is logged rather than undoing the change it records.
+  async record(trip, { userId, reason, restoredFrom }) {
+    for (let attempt = 1; attempt <= this.maxRecordAttempts; attempt++) {
+      try {
+        const latest = await TripRevision.findOne({ tripId: trip._id }).sort({ revision: -1 }).select('revision');
+        return await TripRevision.create({
+          tripId: trip._id,
+          revision: (latest?.revision || 0) + 1,
+          userId,
+          reason,
+          restoredFrom,
+          snapshot: this.snapshot(trip)
+        });
+      } catch (error) {
+        if (error.code === 11000 && attempt < this.maxRecordAttempts) continue;
+        console.error(`Error recording trip revision for ${trip._id}:`, error.message);
+        return null;
+      }
+    }
+  }
+
+  // Store a trip without revisions as it is before its first recorded change, so that change can be
+  // undone. Trips saved before revisions were kept have none. Call it before changing the trip.
+  async ensureBaseline(tripId) {
+    try {
+      if (await TripRevision.exists({ tripId })) return null;
+
+      const trip = await Trip.findById(tripId).select([...SNAPSHOT_FIELDS, 'userId']);
+      if (!trip) return null;
+      return await TripRevision.create({
+        tripId,
+        revision: 1,
+        userId: trip.userId,
+        reason: 'baseline',
+        snapshot: this.snapshot(trip)
+      });
+    } catch (error) {
+      // Another change stored the first revision in the meantime
+      if (error.code === 11000) return null;
+      console.error(`Error recording baseline revision for ${tripId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Update that puts a trip's plan back to a snapshot
+  restoreUpdate(snapshot) {
+    const $set = { updatedAt: Date.now() };
+    const $unset = {};
+    RESTORED_FIELDS.forEach(field => {
+      if (snapshot[field] !== undefined) $set[field] = snapshot[field];
+      else $unset[field] = '';
+    });
+    return Object.keys($unset).length ? { $set, $unset } : { $set };
+  }
+
+  // Changes from one snapshot to another as { path, type: added|removed|changed, before, after }
+  diff(before, after, path = '', changes = []) {
+    if (this.isObject(before) && this.isObject(after)) {
+      const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => !IGNORED_KEYS.includes(key));
+      keys.forEach(key => this.diff(before[key], after[key], path ? `${path}.${key}` : key, changes));
+      return changes;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      for (let i = 0; i < Math.max(before.length, after.length); i++) {
+        this.diff(before[i], after[i], `${path}[${i}]`, changes);
+      }
+      return changes;
+    }
+
+    if (before === undefined && after !== undefined) {
+      changes.push({ path, type: 'added', after });
+    } else if (after === undefined && before !== undefined) {
+      changes.push({ path, type: 'removed', before });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path, type: 'changed', before, after });
+    }
+    return changes;
+  }
+
+  // Counts by change type and the top-level sections that changed
+  summarize(changes) {
+    const summary = { added: 0, removed: 0, changed: 0, sections: [] };
+    changes.forEach(change => {
+      summary[change.type] += 1;
+      const section = change.path.split(/[.[]/)[0];
+      if (!summary.sections.includes(section)) summary.sections.push(section);
+    });
+    return summary;
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = new TripRevisionService();
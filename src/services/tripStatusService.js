@@ -0,0 +1,120 @@
+// src/services/tripStatusService.js
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+
+// Statuses each status may move to; completed and cancelled are final
+const TRANSITIONS = {
+  draft: ['planned', 'cancelled'],
+  planned: ['draft', 'booked', 'cancelled'],
+  booked: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+class TripStatusError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TripStatusError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class TripStatusService {
+  allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  // Conditions the trip must meet to enter a status, as [code, message] when it does not
+  async checkGuard(trip, to) {
+    if (to === 'planned' && !trip.generatedRoute?.legs?.length) {
+      return ['ROUTE_REQUIRED', 'Generate a route before marking the trip as planned'];
+    }
+
+    if (to === 'booked') {
+      // Only bookings paid by the owner or a member count, not any booking that names the trip
+      const people = await Trip.findById(trip._id).select('userId members.userId');
+      const paidBooking = await Booking.exists({
+        tripId: trip._id,
+        userId: { $in: people ? people.userIds() : [] },
+        paymentStatus: 'succeeded'
+      });
+      if (!paidBooking) {
+        return ['PAID_BOOKING_REQUIRED', 'A booking paid by the owner or a member must be linked to the trip before it can be marked as booked'];
+      }
+    }
+
+    if (to === 'completed' && new Date(trip.tripDetails.startDate) > new Date()) {
+      return ['TRIP_NOT_STARTED', 'A trip cannot be completed before it has started'];
+    }
+
+    return null;
+  }
+
+  // Checks a move to a new status and returns the filter and update operators that make it, so the
+  // status can change in the same update as other fields. trip is the trip as it will be after that update.
+  async transitionUpdate(trip, to, { userId, reason }) {
+    const from = trip.status;
+    const allowed = this.allowedTransitions(from);
+
+    if (!allowed.includes(to)) {
+      throw new TripStatusError(
+        'INVALID_TRANSITION',
+        `A ${from} trip cannot be changed to ${to}`,
+        { from, to, allowed }
+      );
+    }
+
+    const failedGuard = await this.checkGuard(trip, to);
+    if (failedGuard) {
+      const [code, message] = failedGuard;
+      throw new TripStatusError(code, message, { from, to, allowed });
+    }
+
+    return {
+      // Only applies if nobody changed the status since the trip was read
+      filter: { status: from },
+      $set: { status: to },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy: userId,
+          reason,
+          changedAt: new Date()
+        }
+      }
+    };
+  }
+
+  // Move the trip to a new status and record who did it and why; returns the updated trip
+  async transition(trip, to, { userId, reason }) {
+    const change = await this.transitionUpdate(trip, to, { userId, reason });
+
+    const updatedTrip = await Trip.findOneAndUpdate(
+      { _id: trip._id, ...change.filter },
+      {
+        $set: { ...change.$set, updatedAt: Date.now() },
+        $push: change.$push
+      },
+      { new: true }
+    ).select('-__v');
+
+    if (!updatedTrip) {
+      throw this.statusChangedError(trip.status, to);
+    }
+
+    return updatedTrip;
+  }
+
+  statusChangedError(from, to) {
+    return new TripStatusError(
+      'STATUS_CHANGED',
+      'The trip status was changed by someone else, reload the trip and try again',
+      { from, to }
+    );
+  }
+}
+
+module.exports = new TripStatusService();
+module.exports.TripStatusError = TripStatusError;
@@ -0,0 +1,86 @@
+// src/utils/connectorUtils.js
+
+const CONNECTOR_TYPES = ['CCS1', 'CCS2', 'Type2', 'CHAdeMO', 'NACS', 'Schuko'];
+
+// Checked in order: combo plugs first so "CCS (Type 2)" is not read as plain Type2
+const CONNECTOR_ALIASES = [
+  { type: 'CCS1', pattern: /ccs\s*1|ccs.*(type|combo)\s*1|(type|combo)\s*1\s*combo|combo\s*1|j1772\s*combo|sae\s*combo/i },
+  { type: 'CCS2', pattern: /ccs\s*2|ccs.*(type|combo)\s*2|(type|combo)\s*2\s*combo|combo\s*2|^ccs$|^ccs\s*\(?eu\)?$/i },
+  { type: 'NACS', pattern: /nacs|j3400|tesla/i },
+  { type: 'CHAdeMO', pattern: /chademo/i },
+  { type: 'Type2', pattern: /type\s*2|mennekes|iec\s*62196-?2/i },
+  { type: 'Schuko', pattern: /schuko|cee\s*7\/[45]|type\s*f\b|domestic/i }
+];
+
+// Station connectors a car can use, keyed by the car's inlet
+const ADAPTER_RULES = {
+  CCS1: { direct: ['CCS1'], adapter: ['NACS'] },
+  // A CCS2 inlet also takes plain Type2 AC plugs
+  CCS2: { direct: ['CCS2', 'Type2'], adapter: ['Schuko'] },
+  Type2: { direct: ['Type2'], adapter: ['Schuko'] },
+  CHAdeMO: { direct: ['CHAdeMO'], adapter: [] },
+  NACS: { direct: ['NACS'], adapter: ['CCS1'] },
+  Schuko: { direct: ['Schuko'], adapter: [] }
+};
+
+// Map a free-text connector name to the taxonomy, or null when unknown
+const normalizeConnector = (value) => {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const exact = CONNECTOR_TYPES.find(type => type.toLowerCase() === text.toLowerCase());
+  if (exact) return exact;
+
+  const alias = CONNECTOR_ALIASES.find(entry => entry.pattern.test(text));
+  return alias ? alias.type : null;
+};
+
+const normalizeConnectors = (values = []) => {
+  return [...new Set(values.map(normalizeConnector).filter(Boolean))];
+};
+
+// Station connector types usable by a car, optionally including adapter-only ones
+const usableStationConnectors = (vehicleConnectors, { allowAdapters = true } = {}) => {
+  const usable = new Set();
+  normalizeConnectors(vehicleConnectors).forEach(inlet => {
+    const rules = ADAPTER_RULES[inlet];
+    rules.direct.forEach(type => usable.add(type));
+    if (allowAdapters) rules.adapter.forEach(type => usable.add(type));
+  });
+  return [...usable];
+};
+
+// Compare a car's connectors with a station's: compatible, adapter, incompatible or unknown
+const evaluateCompatibility = (vehicleConnectors = [], stationConnectors = [], { allowAdapters = true } = {}) => {
+  const inlets = normalizeConnectors(vehicleConnectors);
+  const available = normalizeConnectors(stationConnectors);
+
+  if (inlets.length === 0 || available.length === 0) {
+    return { status: 'unknown', connectors: available, adapterRequired: false };
+  }
+
+  const direct = usableStationConnectors(inlets, { allowAdapters: false });
+  const directMatches = available.filter(type => direct.includes(type));
+  if (directMatches.length > 0) {
+    return { status: 'compatible', connectors: directMatches, adapterRequired: false };
+  }
+
+  if (allowAdapters) {
+    const withAdapters = usableStationConnectors(inlets, { allowAdapters: true });
+    const adapterMatches = available.filter(type => withAdapters.includes(type));
+    if (adapterMatches.length > 0) {
+      return { status: 'adapter', connectors: adapterMatches, adapterRequired: true };
+    }
+  }
+
+  return { status: 'incompatible', connectors: [], adapterRequired: false };
+};
+
+module.exports = {
+  CONNECTOR_TYPES,
+  ADAPTER_RULES,
+  normalizeConnector,
+  normalizeConnectors,
+  usableStationConnectors,
+  evaluateCompatibility
+};
@@ -0,0 +1,27 @@
+// src/utils/dateUtils.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar date of a 1-based trip day
+const tripDayDate = (startDate, day) => {
+  if (!startDate) return undefined;
+  return new Date(new Date(startDate).getTime() + (day - 1) * DAY_MS);
+};
+
+// Midnight UTC of the day a date falls on
+const utcDay = (date) => {
+  const value = new Date(date);
+  return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+};
+
+// 1-based trip day a date falls on, by UTC calendar date so times of day do not shift it
+const dayOfTrip = (startDate, date) => {
+  if (!startDate || !date) return null;
+  return Math.max(1, Math.round((utcDay(date) - utcDay(startDate)) / DAY_MS) + 1);
+};
+
+module.exports = {
+  DAY_MS,
+  tripDayDate,
+  dayOfTrip
+};
@@ -0,0 +1,123 @@
+// src/utils/geoUtils.js
+
+const EARTH_RADIUS_KM = 6371;
+
+// Straight-line distances underestimate what is actually driven
+const ROAD_DISTANCE_FACTOR = 1.25;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Check that a point has usable latitude/longitude values
+const hasCoordinates = (point) => {
+  return Boolean(point) &&
+    Number.isFinite(point.latitude) &&
+    Number.isFinite(point.longitude);
+};
+
+// Great-circle distance between two points in kilometers
+const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Estimated road distance between two points in kilometers
+const roadDistance = (from, to) => {
+  return haversineDistance(from, to) * ROAD_DISTANCE_FACTOR;
+};
+
+// Point at the given fraction (0..1) of the great circle between two points
+const interpolate = (from, to, fraction) => {
+  const lat1 = toRadians(from.latitude);
+  const lng1 = toRadians(from.longitude);
+  const lat2 = toRadians(to.latitude);
+  const lng2 = toRadians(to.longitude);
+
+  const angular = haversineDistance(from, to) / EARTH_RADIUS_KM;
+  if (angular === 0) {
+    return { latitude: from.latitude, longitude: from.longitude };
+  }
+
+  const a = Math.sin((1 - fraction) * angular) / Math.sin(angular);
+  const b = Math.sin(fraction * angular) / Math.sin(angular);
+
+  const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+  const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+  return {
+    latitude: roundCoordinate(toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))),
+    longitude: roundCoordinate(toDegrees(Math.atan2(y, x)))
+  };
+};
+
+// Points along a polyline no further than stepKm apart, including every vertex
+const sampleRoute = (points, stepKm) => {
+  if (points.length === 0) return [];
+
+  const samples = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const distance = haversineDistance(points[i - 1], points[i]);
+    const steps = Math.ceil(distance / stepKm);
+    for (let step = 1; step <= steps; step++) {
+      samples.push(interpolate(points[i - 1], points[i], step / steps));
+    }
+  }
+  return samples;
+};
+
+// Closest position of a point on a polyline: how far off the route it is and how far along (km)
+const projectOntoRoute = (point, points) => {
+  let best = { distanceFromRoute: Infinity, distanceAlongRoute: 0 };
+  let travelled = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1];
+    const end = points[i];
+    const segmentLength = haversineDistance(start, end);
+
+    // Local flat projection is accurate enough at corridor scale
+    const scale = Math.cos(toRadians((start.latitude + end.latitude) / 2));
+    const ex = (end.longitude - start.longitude) * scale;
+    const ey = end.latitude - start.latitude;
+    const px = (point.longitude - start.longitude) * scale;
+    const py = point.latitude - start.latitude;
+    const lengthSquared = ex * ex + ey * ey;
+    const fraction = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+
+    const closest = interpolate(start, end, fraction);
+    const distanceFromRoute = haversineDistance(point, closest);
+
+    if (distanceFromRoute < best.distanceFromRoute) {
+      best = {
+        distanceFromRoute,
+        distanceAlongRoute: travelled + segmentLength * fraction
+      };
+    }
+    travelled += segmentLength;
+  }
+
+  return best;
+};
+
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  ROAD_DISTANCE_FACTOR,
+  hasCoordinates,
+  haversineDistance,
+  roadDistance,
+  interpolate,
+  sampleRoute,
+  projectOntoRoute
+};
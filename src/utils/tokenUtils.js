@@ -1,4 +1,5 @@
 // backend/utils/tokenUtils.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
@@ -21,7 +22,19 @@ const verifyToken = (token) => {
   }
 };
 
+// Random URL-safe secret for links that work without signing in
+const generateSecretToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Only hashes of secret tokens are stored, so a leaked database does not leak working links
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 module.exports = {
   generateToken,
-  verifyToken
+  verifyToken,
+  generateSecretToken,
+  hashToken
 };
\ No newline at end of file
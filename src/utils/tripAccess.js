@@ -0,0 +1,22 @@
+// src/utils/tripAccess.js
+const Trip = require('../models/Trip');
+
+// Reply for a trip the user could not act on: 403 if they can see it, 404 if they cannot
+const sendTripAccessError = async (res, tripId, userId) => {
+  const visible = await Trip.exists({ _id: tripId, ...Trip.accessQuery(userId) });
+  if (visible) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your role on this trip does not allow this'
+    });
+  }
+
+  return res.status(404).json({
+    success: false,
+    message: 'Trip not found'
+  });
+};
+
+module.exports = {
+  sendTripAccessError
+};
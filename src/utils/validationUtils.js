@@ -0,0 +1,16 @@
+// src/utils/validationUtils.js
+const { validationResult } = require('express-validator');
+
+// Run route validators on values that did not come in with a request, as [{ path, message }].
+// The body is a JSON copy because sanitizers change it in place.
+const runValidators = async (chains, { params = {}, body = {} }) => {
+  const req = { params, body: JSON.parse(JSON.stringify(body)), query: {}, headers: {}, cookies: {} };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  return validationResult(req).array().map(error => ({ path: error.path, message: error.msg }));
+};
+
+module.exports = {
+  runValidators
+};
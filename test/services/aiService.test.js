@@ -0,0 +1,98 @@
+// test/services/aiService.test.js
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AI_PROVIDER = 'mock';
+const aiService = require('../../src/services/aiService');
+const routePlanningService = require('../../src/services/routePlanningService');
+
+const tripDetails = {
+  startDate: new Date('2026-06-01T09:00:00Z'),
+  fromLocation: 'Berlin, Germany',
+  toDestination: 'Munich, Germany',
+  fromCoordinates: { latitude: 52.52, longitude: 13.405 },
+  toCoordinates: { latitude: 48.137, longitude: 11.575 },
+  stops: [],
+  maxDrivingDistance: 400,
+  evRange: 350,
+  travelers: 2,
+  rooms: 1,
+  hotelRequired: true
+};
+
+let routePlan;
+
+before(() => {
+  aiService.providerName = 'mock';
+  routePlan = routePlanningService.planTrip(tripDetails);
+});
+
+test('every provider exposes the provider interface', () => {
+  Object.entries(aiService.providers).forEach(([name, provider]) => {
+    assert.equal(typeof provider.name, 'string', `${name} has no name`);
+    assert.equal(typeof provider.defaultModel, 'string', `${name} has no default model`);
+    assert.equal(typeof provider.complete, 'function', `${name} cannot complete`);
+    assert.equal(typeof provider.stream, 'function', `${name} cannot stream`);
+  });
+});
+
+test('getProvider rejects an unknown provider', () => {
+  assert.throws(() => aiService.getProvider('nonexistent'), /Unknown AI provider: nonexistent/);
+});
+
+test('streamItinerary streams the itinerary the mock completes, one day at a time', async () => {
+  const streamedDays = [];
+  const streamed = await aiService.streamItinerary({ tripDetails }, routePlan, {
+    onDay: day => streamedDays.push(day.day)
+  });
+  const completed = await aiService.requestItinerary({ tripDetails }, routePlan);
+
+  assert.equal(streamed, completed);
+  assert.deepEqual(streamedDays, [1, 2]);
+});
+
+test('generateTripItinerary plans one day per day of the route plan', async () => {
+  const itinerary = await aiService.generateTripItinerary({ tripDetails }, routePlan);
+  const planDays = [...new Set(routePlan.legs.map(leg => leg.day))];
+
+  assert.deepEqual(itinerary.days.map(day => day.day), planDays);
+  assert.deepEqual(itinerary.days.map(day => day.date), ['2026-06-01', '2026-06-02']);
+  assert.equal(itinerary.days[0].from, tripDetails.fromLocation);
+  assert.equal(itinerary.days.at(-1).to, tripDetails.toDestination);
+});
+
+test('generateTripItinerary books a hotel for every night', async () => {
+  const itinerary = await aiService.generateTripItinerary({ tripDetails }, routePlan);
+
+  assert.deepEqual(
+    itinerary.hotels.map(hotel => [hotel.checkIn, hotel.checkOut]),
+    [['2026-06-01', '2026-06-02'], ['2026-06-02', '2026-06-03']]
+  );
+});
+
+test('generateTripItinerary suggests a charger for every charging stop of the plan', async () => {
+  const itinerary = await aiService.generateTripItinerary({ tripDetails }, routePlan);
+  const chargingStops = routePlan.waypoints.filter(waypoint => waypoint.chargingStationRequired);
+
+  assert.equal(itinerary.chargingStations.length, chargingStops.length);
+  itinerary.chargingStations.forEach(station => {
+    assert.ok(station.coordinates, `${station.name} has no coordinates`);
+  });
+});
+
+test('generateTripItinerary gives the same itinerary for the same trip', async () => {
+  const first = await aiService.generateTripItinerary({ tripDetails }, routePlan);
+  const second = await aiService.generateTripItinerary({ tripDetails }, routePlan);
+
+  assert.deepEqual(second.rawResponse, first.rawResponse);
+});
+
+test('generateTripItinerary leaves hotels out when the trip needs none', async () => {
+  const withoutHotels = { ...tripDetails, hotelRequired: false };
+  const itinerary = await aiService.generateTripItinerary(
+    { tripDetails: withoutHotels },
+    routePlanningService.planTrip(withoutHotels)
+  );
+
+  assert.deepEqual(itinerary.hotels, []);
+});
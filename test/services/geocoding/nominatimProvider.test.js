@@ -0,0 +1,54 @@
+// test/services/geocoding/nominatimProvider.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const nominatimProvider = require('../../../src/services/geocoding/nominatimProvider');
+
+const place = (name) => ({
+  osm_type: 'node',
+  osm_id: 1,
+  name,
+  display_name: `${name}, Germany`,
+  lat: '52.52',
+  lon: '13.405',
+  importance: 0.8,
+  address: { country_code: 'de' }
+});
+
+beforeEach(() => {
+  nominatimProvider.requestInterval = 50;
+  nominatimProvider.lastRequestAt = 0;
+});
+
+test('search sends one request at a time, spaced by the request interval', async (t) => {
+  const calls = [];
+  t.mock.method(nominatimProvider.api, 'get', async (path, { params }) => {
+    calls.push({ query: params.q, startedAt: Date.now() });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    calls.at(-1).endedAt = Date.now();
+    return { data: [place(params.q)] };
+  });
+
+  const results = await Promise.all(['Berlin', 'Leipzig', 'Munich'].map(query => nominatimProvider.search(query)));
+
+  assert.deepEqual(results.map(([result]) => result.name), ['Berlin', 'Leipzig', 'Munich']);
+  assert.deepEqual(calls.map(call => call.query), ['Berlin', 'Leipzig', 'Munich']);
+  calls.slice(1).forEach((call, index) => {
+    assert.ok(call.startedAt - calls[index].endedAt >= 45, `${call.query} was sent too soon`);
+  });
+});
+
+test('search keeps serving queued requests after one fails', async (t) => {
+  t.mock.method(nominatimProvider.api, 'get', async (path, { params }) => {
+    if (params.q === 'Nowhere') throw new Error('Request failed');
+    return { data: [place(params.q)] };
+  });
+
+  const [failed, found] = await Promise.allSettled([
+    nominatimProvider.search('Nowhere'),
+    nominatimProvider.search('Berlin')
+  ]);
+
+  assert.equal(failed.status, 'rejected');
+  assert.equal(found.value[0].name, 'Berlin');
+});
@@ -0,0 +1,54 @@
+// test/services/hotelService.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const hotelService = require('../../src/services/hotelService');
+
+const hotels = [
+  { name: 'Motorway Lodge', location: 'Leipzig', checkIn: '2026-06-01', checkOut: '2026-06-02' },
+  { name: 'Park Inn Munich', location: 'Munich', checkIn: '2026-06-02', checkOut: '2026-06-03' }
+];
+
+const verificationEnabled = hotelService.verificationEnabled;
+afterEach(() => {
+  hotelService.verificationEnabled = verificationEnabled;
+});
+
+test('verifyAndSearchHotels keeps the suggested hotels unverified when verification is off', async (t) => {
+  hotelService.verificationEnabled = false;
+  const verify = t.mock.method(hotelService, 'verifyRecommendedHotels');
+  const reported = [];
+
+  const tripHotels = await hotelService.verifyAndSearchHotels(hotels, { rooms: 2 }, (hotel, index) => {
+    reported.push(index);
+  });
+
+  assert.equal(verify.mock.callCount(), 0);
+  assert.deepEqual(reported, [0, 1]);
+  assert.deepEqual(tripHotels.map(hotel => hotel.name), ['Motorway Lodge', 'Park Inn Munich']);
+  tripHotels.forEach(hotel => {
+    assert.equal(hotel.verified, false);
+    assert.equal(hotel.hotelId, undefined);
+    assert.equal(hotel.rooms, 2);
+  });
+});
+
+test('verifyAndSearchHotels takes the first alternative when a hotel is not found', async (t) => {
+  hotelService.verificationEnabled = true;
+  t.mock.method(hotelService, 'verifyRecommendedHotels', async ({ hotels: [hotel] }) => (
+    hotel.name === 'Motorway Lodge'
+      ? { verified: [], alternatives: [{ alternatives: [{ id: 'h-2', name: 'Leipzig Inn', price: 90 }] }] }
+      : { verified: [{ verified: { id: 'h-1', name: hotel.name, price: 120 }, confidence: 0.9 }], alternatives: [] }
+  ));
+
+  const [alternative, match] = await hotelService.verifyAndSearchHotels(hotels, {});
+
+  assert.deepEqual(
+    [alternative.name, alternative.hotelId, alternative.verified],
+    ['Leipzig Inn', 'h-2', false]
+  );
+  assert.deepEqual(
+    [match.name, match.hotelId, match.verified, match.confidence],
+    ['Park Inn Munich', 'h-1', true, 0.9]
+  );
+});
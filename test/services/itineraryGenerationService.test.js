@@ -0,0 +1,140 @@
+// test/services/itineraryGenerationService.test.js
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.AI_PROVIDER = 'mock';
+const Trip = require('../../src/models/Trip');
+const ItineraryJob = require('../../src/models/ItineraryJob');
+const TripRevision = require('../../src/models/TripRevision');
+const itineraryGenerationService = require('../../src/services/itineraryGenerationService');
+
+// The flow runs against an in-memory trip: queries are answered here instead of by MongoDB,
+// with an empty charging station catalog
+let stored;
+let jobUpdates;
+let revisions;
+let failJobUpdates = 0;
+
+const applyUpdate = (update) => {
+  const trip = new Trip(stored.toObject());
+  Object.entries(update.$set || {}).forEach(([path, value]) => trip.set(path, value));
+  Object.entries(update.$push || {}).forEach(([path, value]) => trip.get(path).push(value));
+  stored = trip;
+  return trip;
+};
+
+mock.method(mongoose.Query.prototype, 'exec', async function() {
+  const filter = this.getFilter();
+  switch (`${this.model.modelName}.${this.op}`) {
+    case 'ItineraryJob.updateOne':
+      if (failJobUpdates > 0) {
+        failJobUpdates -= 1;
+        throw new Error('Write failed');
+      }
+      jobUpdates.push(this.getUpdate().$set);
+      return { acknowledged: true };
+    case 'ItineraryJob.updateMany':
+      return { acknowledged: true };
+    case 'Trip.findOne':
+      return stored;
+    case 'Trip.findOneAndUpdate': {
+      const matches = Object.entries(filter)
+        .filter(([key]) => key !== '_id')
+        .every(([key, value]) => String(stored.get(key)) === String(value));
+      return matches ? applyUpdate(this.getUpdate()) : null;
+    }
+    case 'TripRevision.findOne':
+      return revisions.at(-1) || null;
+    default:
+      return this.op === 'find' ? [] : null;
+  }
+});
+mock.method(mongoose.Aggregate.prototype, 'exec', async () => []);
+mock.method(ItineraryJob, 'create', async (job) => new ItineraryJob(job));
+mock.method(TripRevision, 'create', async (revision) => {
+  revisions.push(revision);
+  return revision;
+});
+
+const tripDetails = {
+  startDate: new Date('2026-06-01T09:00:00Z'),
+  fromLocation: 'Berlin, Germany',
+  toDestination: 'Munich, Germany',
+  fromCoordinates: { latitude: 52.52, longitude: 13.405 },
+  toCoordinates: { latitude: 48.137, longitude: 11.575 },
+  stops: [],
+  maxDrivingDistance: 400,
+  evRange: 350,
+  travelers: 2,
+  rooms: 1,
+  hotelRequired: true
+};
+
+beforeEach(() => {
+  stored = new Trip({ userId: 'user-1', tripDetails, updatedAt: new Date('2026-05-01T00:00:00Z') });
+  jobUpdates = [];
+  revisions = [];
+});
+
+const generate = async (trip, emit) => {
+  const { job, routePlan } = await itineraryGenerationService.createJob(trip, 'user-1');
+  await itineraryGenerationService.run(job._id, trip, routePlan, 'user-1', emit ? { emit } : {});
+  return { job, routePlan, finished: jobUpdates.at(-1) };
+};
+
+test('generation saves the mock itinerary to the trip and marks it planned', async () => {
+  const { routePlan, finished } = await generate(stored);
+
+  assert.equal(finished.status, 'succeeded', finished.error?.message);
+  assert.equal(finished.progress, 100);
+  assert.equal(stored.status, 'planned');
+  assert.equal(stored.aiGenerated, true);
+  assert.equal(stored.generatedRoute.legs.length, routePlan.legs.length);
+  assert.deepEqual(stored.itinerary.days.map(day => day.day), [1, 2]);
+  assert.deepEqual(
+    stored.generatedRoute.hotels.map(hotel => [hotel.checkIn.toISOString().split('T')[0], hotel.verified]),
+    [['2026-06-01', false], ['2026-06-02', false]]
+  );
+  assert.ok(stored.chargeSimulation, 'the charge simulation was not saved');
+});
+
+test('generation records the saved plan as a revision', async () => {
+  await generate(stored);
+
+  assert.deepEqual(revisions.map(revision => revision.reason), ['baseline', 'ai_generation']);
+  assert.equal(revisions.at(-1).snapshot.status, 'planned');
+});
+
+test('generation streams days, hotels and the result to a listener', async () => {
+  const events = [];
+  await generate(stored, (event, data) => events.push([event, data]));
+
+  const names = events.map(([event]) => event);
+  assert.equal(names.filter(name => name === 'day').length, 2);
+  assert.equal(names.filter(name => name === 'hotel').length, 2);
+  assert.equal(names.at(-1), 'complete');
+  assert.equal(events.at(-1)[1].trip.status, 'planned');
+});
+
+test('generation fails without saving when the trip changed while it ran', async () => {
+  const trip = stored;
+  stored = new Trip({ ...trip.toObject(), updatedAt: new Date('2026-05-02T00:00:00Z') });
+
+  const { finished } = await generate(trip);
+
+  assert.equal(finished.status, 'failed');
+  assert.equal(finished.error.code, 'TRIP_CHANGED');
+  assert.equal(finished.active, false);
+  assert.equal(stored.itinerary?.days?.length || 0, 0);
+});
+
+test('generation releases the trip when the job cannot be marked as running', async () => {
+  failJobUpdates = 1;
+
+  const { finished } = await generate(stored);
+
+  assert.equal(finished.status, 'failed');
+  assert.equal(finished.active, false);
+  assert.equal(finished.error.message, 'Write failed');
+});
@@ -0,0 +1,29 @@
+// test/utils/dateUtils.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tripDayDate, dayOfTrip } = require('../../src/utils/dateUtils');
+
+test('dayOfTrip counts calendar days from the start date', () => {
+  const startDate = '2026-06-01T09:00:00Z';
+
+  assert.equal(dayOfTrip(startDate, '2026-06-01'), 1);
+  assert.equal(dayOfTrip(startDate, '2026-06-02'), 2);
+  assert.equal(dayOfTrip(startDate, '2026-06-03T23:30:00Z'), 3);
+});
+
+test('dayOfTrip puts dates before the start on day 1', () => {
+  assert.equal(dayOfTrip('2026-06-05', '2026-06-01'), 1);
+});
+
+test('dayOfTrip is null without both dates', () => {
+  assert.equal(dayOfTrip(null, '2026-06-01'), null);
+  assert.equal(dayOfTrip('2026-06-01', undefined), null);
+});
+
+test('tripDayDate and dayOfTrip agree', () => {
+  const startDate = '2026-06-01T09:00:00Z';
+  [1, 2, 7].forEach(day => {
+    assert.equal(dayOfTrip(startDate, tripDayDate(startDate, day)), day);
+  });
+});